@@ -0,0 +1,238 @@
+/**
+ * Checks if a value matches an expected one: regular expressions are tested
+ * against strings, functions are predicates, objects are partially matched.
+ * @param {*} actual The value.
+ * @param {*} expected The expected value.
+ * @returns {boolean}
+ * @private
+ */
+const matchValue = (actual, expected) => {
+  if (expected instanceof RegExp) {
+    return (
+      actual !== null &&
+      actual !== undefined &&
+      expected.test(
+        actual instanceof Error
+          ? actual.message
+          : typeof actual === "string"
+          ? actual
+          : JSON.stringify(actual)
+      )
+    );
+  }
+  if (typeof expected === "function") {
+    return Boolean(expected(actual));
+  }
+  if (expected && typeof expected === "object") {
+    return (
+      actual !== null &&
+      typeof actual === "object" &&
+      Object.keys(expected).every(key => matchValue(actual[key], expected[key]))
+    );
+  }
+  return actual === expected;
+};
+
+/**
+ * Describes a query for the messages of the matchers.
+ * @param {*} query The query.
+ * @returns {string}
+ * @private
+ */
+const describe = query =>
+  typeof query === "function"
+    ? "the predicate"
+    : JSON.stringify(query, (key, value) =>
+        value instanceof RegExp ? value.toString() : value
+      );
+
+/**
+ * Records the entries of every logger so tests can assert on them. While a
+ * capture is active the entries are not written to the transports, unless it
+ * passes them through.
+ *
+ * Entries are recorded once they pass the level of their logger (and its
+ * rate limits and deduplication): the entries filtered out are not recorded.
+ */
+class Capture {
+  /**
+   * @param {object=} options The options of the capture.
+   * @param {boolean=} options.passthrough If the entries should still be
+   * written to the transports.
+   * @param {function} dispose The function that stops the capture.
+   */
+  constructor({ passthrough = false } = {}, dispose) {
+    /**
+     * If the entries should still be written to the transports.
+     * @type {boolean}
+     */
+    this.passthrough = passthrough;
+
+    /**
+     * The recorded entries.
+     * @type {object[]}
+     */
+    this.entries = [];
+
+    /**
+     * The function that stops the capture.
+     * @type {function}
+     * @private
+     */
+    this._dispose = dispose;
+
+    if (typeof Symbol.dispose === "symbol") {
+      this[Symbol.dispose] = () => this.dispose();
+    }
+  }
+
+  /**
+   * Records an entry.
+   * @param {object} entry The log entry.
+   */
+  record(entry) {
+    this.entries.push({
+      level: entry.levelName,
+      severity: entry.level,
+      title: entry.title,
+      message: entry.message,
+      text: entry.text,
+      data: entry.data,
+      error: entry.error,
+      group: entry.groupTitle,
+      namespace: entry.namespace,
+      context: entry.context,
+      fields: entry.fields,
+      duration: entry.duration,
+      time: entry.time
+    });
+  }
+
+  /**
+   * Obtains the entries matching a query.
+   * @param {object|string|RegExp|function=} query The expected values by
+   * field (strings, regular expressions, predicates or partial objects), the
+   * expected message, or a predicate receiving the entry.
+   * @returns {object[]}
+   */
+  filter(query = {}) {
+    return this.entries.filter(entry =>
+      typeof query === "function"
+        ? query(entry)
+        : typeof query === "string" || query instanceof RegExp
+        ? matchValue(entry.message, query)
+        : Object.keys(query).every(key => matchValue(entry[key], query[key]))
+    );
+  }
+
+  /**
+   * Obtains the first entry matching a query.
+   * @param {object|string|RegExp|function=} query The query.
+   * @see Capture#filter
+   * @returns {object|undefined}
+   */
+  find(query) {
+    return this.filter(query)[0];
+  }
+
+  /**
+   * Checks if any entry matches a query.
+   * @param {object|string|RegExp|function=} query The query.
+   * @see Capture#filter
+   * @returns {boolean}
+   */
+  has(query) {
+    return this.filter(query).length > 0;
+  }
+
+  /**
+   * Obtains the lines recorded (e.g. `[warn] Title: message`).
+   * @returns {string[]}
+   */
+  get lines() {
+    return this.entries.map(
+      entry =>
+        `[${entry.level}] ${entry.title ? `${entry.title}: ` : ""}${entry.text}`
+    );
+  }
+
+  /**
+   * Removes the recorded entries.
+   * @returns {Capture}
+   */
+  clear() {
+    this.entries = [];
+    return this;
+  }
+
+  /**
+   * Stops the capture, restoring the output of the loggers.
+   */
+  dispose() {
+    this._dispose();
+  }
+
+  /**
+   * Checks the result of a matcher.
+   * @param {Capture} capture The capture.
+   * @param {*} query The query.
+   * @param {number=} times The exact amount of matches expected.
+   * @returns {{pass: boolean, message: string}}
+   * @private
+   */
+  static _compare(capture, query, times) {
+    if (!(capture instanceof Capture)) {
+      return { pass: false, message: "Expected a Capture." };
+    }
+    const count = capture.filter(query).length;
+    const pass = times === undefined ? count > 0 : count === times;
+    const expected = times === undefined ? "an entry" : `${times} entries`;
+    const recorded = capture.lines.join("\n  ") || "(none)";
+    return {
+      pass,
+      message: pass
+        ? `Expected not to have logged ${expected} matching ${describe(query)}.`
+        : `Expected to have logged ${expected} matching ${describe(
+            query
+          )}, found ${count}. Entries:\n  ${recorded}`
+    };
+  }
+
+  /**
+   * The Jasmine matchers: `toHaveLogged(query)` and
+   * `toHaveLoggedTimes(query, times)`. Install them with
+   * `jasmine.addMatchers(Capture.jasmineMatchers)`.
+   * @returns {object}
+   */
+  static get jasmineMatchers() {
+    return {
+      toHaveLogged: () => ({
+        compare: (capture, query) => Capture._compare(capture, query)
+      }),
+      toHaveLoggedTimes: () => ({
+        compare: (capture, query, times) =>
+          Capture._compare(capture, query, times)
+      })
+    };
+  }
+
+  /**
+   * The Jest matchers: `toHaveLogged(query)` and
+   * `toHaveLoggedTimes(query, times)`. Install them with
+   * `expect.extend(Capture.jestMatchers)`.
+   * @returns {object}
+   */
+  static get jestMatchers() {
+    const wrap = result => ({
+      pass: result.pass,
+      message: () => result.message
+    });
+    return {
+      toHaveLogged: (capture, query) => wrap(Capture._compare(capture, query)),
+      toHaveLoggedTimes: (capture, query, times) =>
+        wrap(Capture._compare(capture, query, times))
+    };
+  }
+}
+
+module.exports = Capture;
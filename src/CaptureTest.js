@@ -0,0 +1,93 @@
+const { loadLogger, memoryLogger } = require("./testing");
+const Logger = loadLogger();
+let capture;
+let logger;
+let memory;
+
+describe("Capture", () => {
+  beforeEach(() => {
+    jasmine.addMatchers(Logger.Capture.jasmineMatchers);
+    ({ logger, memory } = memoryLogger(Logger));
+    capture = Logger.capture();
+  });
+
+  afterEach(() => capture.dispose());
+
+  it("should record the entries of every logger", () => {
+    const error = new Error("Timeout");
+    logger.warn("Database", "Request timeout after 5s");
+    logger.groupStart("Import");
+    Logger.get("capture:test")
+      .talk()
+      .error("Failed", error);
+    logger.groupEnd();
+    expect(memory.entries.length).toBe(0);
+    expect(capture.entries.length).toBe(2);
+    expect(capture.find({ level: "warn", message: /timeout/ })).toEqual(
+      jasmine.objectContaining({
+        level: "warn",
+        title: "Database",
+        message: "Request timeout after 5s"
+      })
+    );
+    expect(capture.find({ error: /Timeout/ }).namespace).toBe("capture:test");
+    expect(capture.find({ level: "info" })).toBeUndefined();
+  });
+
+  it("should query the entries", () => {
+    logger.info({ message: "Saved", data: { id: 7, name: "ann" } });
+    logger.child({ requestId: "r1" }).info("Served");
+    logger.info("Saved");
+    expect(capture.filter("Saved").length).toBe(2);
+    expect(capture.filter(/^Serv/).length).toBe(1);
+    expect(capture.has({ data: { id: 7 } })).toBe(true);
+    expect(capture.has({ context: { requestId: "r1" } })).toBe(true);
+    expect(capture.filter(entry => entry.level === "info").length).toBe(3);
+    expect(capture.lines[0]).toBe('[info] Saved {"id":7,"name":"ann"}');
+    capture.clear();
+    expect(capture.entries).toEqual([]);
+  });
+
+  it("should provide matchers", () => {
+    logger.warn("Retrying");
+    logger.warn("Retrying");
+    expect(capture).toHaveLogged({ level: "warn", message: "Retrying" });
+    expect(capture).not.toHaveLogged({ level: "error" });
+    expect(capture).toHaveLoggedTimes("Retrying", 2);
+    const result = Logger.Capture.jestMatchers.toHaveLogged(capture, {
+      level: "error"
+    });
+    expect(result.pass).toBe(false);
+    expect(result.message()).toContain("found 0. Entries:\n  [warn] Retrying");
+  });
+
+  it("should restore the output when disposed", () => {
+    logger.info("Captured");
+    capture.dispose();
+    logger.info("Written");
+    const through = Logger.capture({ passthrough: true });
+    logger.info("Both");
+    through.dispose();
+    expect(memory.lines).toEqual(["[INF] Written", "[INF] Both"]);
+    expect(capture.entries.length).toBe(1);
+    expect(through.entries.length).toBe(1);
+  });
+
+  it("should keep the groups balanced when a capture starts inside them", () => {
+    capture.dispose();
+    const grouping = jasmine.createSpyObj("transport", [
+      "write",
+      "group",
+      "groupEnd"
+    ]);
+    logger.transports = [grouping];
+    logger.groupStart("Outer");
+    const inner = Logger.capture();
+    logger.groupStart("Inner");
+    logger.groupEnd();
+    logger.groupEnd();
+    inner.dispose();
+    expect(grouping.group).toHaveBeenCalledTimes(1);
+    expect(grouping.groupEnd).toHaveBeenCalledTimes(1);
+  });
+});
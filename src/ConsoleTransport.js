@@ -0,0 +1,82 @@
+const Transport = require("./Transport");
+const isBrowser = !process || !process.argv;
+
+/**
+ * The default transport that writes the entries into the console
+ * (stdout/stderr or the browser console).
+ */
+class ConsoleTransport extends Transport {
+  /**
+   * @param {object=} options The options of the transport.
+   * @see Transport
+   */
+  constructor(options = {}) {
+    super(Object.assign({ name: "console" }, options));
+  }
+
+  /**
+   * Writes every formatted line with the console method of the entry.
+   * @param {object} entry The log entry.
+   */
+  write(entry) {
+    const console = entry.logger.constructor.console;
+    this.format(entry).forEach(line => console[entry.methodName](...line));
+  }
+
+  /**
+   * Writes a batch of entries with a single console call for every run of
+   * entries sharing the same console method.
+   * @param {object[]} entries The log entries.
+   */
+  writeBatch(entries) {
+    if (isBrowser) {
+      return super.writeBatch(entries);
+    }
+    const console = entries[0].logger.constructor.console;
+    let method = null;
+    let text = [];
+    entries.forEach(entry => {
+      if (entry.methodName !== method && text.length) {
+        console[method](text.join("\n"));
+        text = [];
+      }
+      method = entry.methodName;
+      text.push(this.formatText(entry, false));
+    });
+    console[method](text.join("\n"));
+  }
+
+  /**
+   * Starts a console group, unless the output is JSON (the group is already
+   * in the entries and indenting would break the lines).
+   * @param {Logger} logger The logger starting the group.
+   * @param {Array} args The arguments of the group.
+   */
+  group(logger, args) {
+    if (!this._isJson(logger)) {
+      logger.constructor.console.group(...args);
+    }
+  }
+
+  /**
+   * Ends a console group, unless the output is JSON.
+   * @param {Logger} logger The logger ending the group.
+   */
+  groupEnd(logger) {
+    if (!this._isJson(logger)) {
+      logger.constructor.console.groupEnd();
+    }
+  }
+
+  /**
+   * Checks if the output of the transport is JSON.
+   * @param {Logger} logger The logger writing.
+   * @returns {boolean}
+   * @private
+   */
+  _isJson(logger) {
+    return this.json === undefined ? logger.json : Boolean(this.json);
+  }
+}
+
+module.exports = ConsoleTransport;
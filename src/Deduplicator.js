@@ -0,0 +1,106 @@
+/**
+ * Collapses consecutive identical entries (same level, title and message):
+ * the first one is written and the repetitions are counted, then reported as
+ * a single entry when a different entry arrives or the window elapses.
+ */
+class Deduplicator {
+  /**
+   * @param {object=} options The options of the deduplication.
+   * @param {number=} options.window The maximum milliseconds to wait before
+   * reporting the repetitions.
+   * @param {function} report The function receiving the repeated entry and
+   * the amount of times it was repeated.
+   */
+  constructor({ window = 5000 } = {}, report) {
+    /**
+     * The maximum milliseconds to wait before reporting the repetitions.
+     * @type {number}
+     */
+    this.window = window;
+
+    /**
+     * The function reporting the repetitions.
+     * @type {function}
+     * @private
+     */
+    this._report = report;
+
+    /**
+     * The key of the last entry written.
+     * @type {string|null}
+     * @private
+     */
+    this._key = null;
+
+    /**
+     * The last entry written.
+     * @type {object|null}
+     * @private
+     */
+    this._entry = null;
+
+    /**
+     * The amount of repetitions not reported yet.
+     * @type {number}
+     * @private
+     */
+    this._count = 0;
+
+    /**
+     * The timer of the report.
+     * @type {*}
+     * @private
+     */
+    this._timer = null;
+  }
+
+  /**
+   * Checks if an entry should be written, counting it when it repeats the
+   * last one. Any pending repetitions are reported before a different entry.
+   * @param {object} entry The log entry.
+   * @returns {boolean}
+   */
+  check(entry) {
+    const key = `${entry.level}|${entry.title}|${entry.text}`;
+    if (key === this._key) {
+      this._count++;
+      if (!this._timer) {
+        this._timer = setTimeout(() => this.flush(), this.window);
+        if (this._timer.unref) {
+          this._timer.unref();
+        }
+      }
+      return false;
+    }
+    this.flush();
+    this._key = key;
+    this._entry = entry;
+    return true;
+  }
+
+  /**
+   * Reports the pending repetitions.
+   */
+  flush() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    if (this._count) {
+      const count = this._count;
+      this._count = 0;
+      this._report(this._entry, count);
+    }
+  }
+
+  /**
+   * Reports the pending repetitions and forgets the last entry.
+   */
+  close() {
+    this.flush();
+    this._key = null;
+    this._entry = null;
+  }
+}
+
+module.exports = Deduplicator;
@@ -0,0 +1,92 @@
+const { loadLogger, memoryLogger } = require("./testing");
+const Logger = loadLogger();
+let logger;
+let memory;
+
+describe("Deduplicator", () => {
+  beforeEach(() => {
+    ({ logger, memory } = memoryLogger(Logger, { dedup: { window: 1000 } }));
+  });
+
+  it("should collapse the consecutive identical entries", () => {
+    for (let i = 0; i < 4; i++) {
+      logger.error("Retry", "Connection refused");
+    }
+    logger.child({ attempt: 5 }).error("Retry", "Connection refused");
+    logger.info("Recovered");
+    logger.info("Recovered");
+    logger.warn("Recovered");
+    expect(memory.lines).toEqual([
+      "[ERR] [Retry] Connection refused",
+      "[ERR] [Retry] Last message repeated 4 times",
+      "[INF] Recovered",
+      "[INF] Last message repeated 1 time",
+      "[WRN] Recovered"
+    ]);
+    expect(memory.entries[1].fields).toEqual({ repeated: 4 });
+  });
+
+  it("should report the repetitions when the window elapses", () => {
+    jasmine.clock().install();
+    logger.error("Failed");
+    logger.error("Failed");
+    logger.error("Failed");
+    jasmine.clock().tick(1000);
+    logger.error("Failed");
+    jasmine.clock().uninstall();
+    expect(memory.lines).toEqual([
+      "[ERR] Failed",
+      "[ERR] Last message repeated 2 times"
+    ]);
+  });
+
+  it("should report the repetitions when flushing", done => {
+    logger.info("Same");
+    logger.info("Same");
+    logger.flush().then(() => {
+      expect(memory.lines).toEqual([
+        "[INF] Same",
+        "[INF] Last message repeated 1 time"
+      ]);
+      done();
+    });
+  });
+
+  it("should report outside of the history and the level filter", () => {
+    logger.history = 10;
+    logger.level = "warn";
+    logger.error("Failed");
+    logger.error("Failed");
+    logger.info("Debugging");
+    logger.warn("Slow");
+    logger.warn("Slow");
+    logger.level = "error";
+    logger.dedup = null;
+    expect(memory.lines).toEqual([
+      "[ERR] Failed",
+      "[ERR] Last message repeated 1 time",
+      "[WRN] Slow",
+      "[WRN] Last message repeated 1 time"
+    ]);
+  });
+
+  it("should leave the deduplication of the parent to its owner", () => {
+    const child = logger.child({ id: 1 });
+    logger.info("Same");
+    logger.info("Same");
+    child.dedup = null;
+    expect(memory.lines).toEqual(["[INF] Same"]);
+    logger.dedup = null;
+    expect(memory.lines).toEqual([
+      "[INF] Same",
+      "[INF] Last message repeated 1 time"
+    ]);
+  });
+
+  it("should be opt-in", () => {
+    logger.dedup = false;
+    logger.info("Same");
+    logger.info("Same");
+    expect(memory.lines).toEqual(["[INF] Same", "[INF] Same"]);
+  });
+});
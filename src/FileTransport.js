@@ -0,0 +1,302 @@
+const Transport = require("./Transport");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+/**
+ * Obtains the day of a timestamp to detect daily rollovers.
+ * @param {number} time The timestamp.
+ * @returns {string}
+ * @private
+ */
+const dayOf = time => new Date(time).toDateString();
+
+/**
+ * A transport that appends the entries into a file and rotates it by size
+ * and/or daily, keeping a number of (optionally gzipped) archives.
+ *
+ * Archives are named after the file with an index, being `.1` the newest:
+ * `app.log.1`, `app.log.2.gz`, etc.
+ *
+ * Writes are synchronous so no entry is lost when the process exits. The
+ * archives are gzipped in the background: the rotated file takes its place
+ * uncompressed if the process exits before it is done.
+ */
+class FileTransport extends Transport {
+  /**
+   * @param {object} options The options of the transport.
+   * @param {string} options.path The path of the log file.
+   * @param {number=} options.maxSize The size in bytes that triggers a
+   * rollover. No size rollover when not defined.
+   * @param {boolean=} options.daily If the file should roll over daily.
+   * @param {number=} options.maxFiles The amount of archives to keep.
+   * @param {boolean=} options.gzip If the archives should be gzipped.
+   * @see Transport
+   */
+  constructor(options = {}) {
+    super(Object.assign({ name: "file", boring: true }, options));
+
+    if (!options.path) {
+      throw new TypeError("The file transport requires a path.");
+    }
+
+    /**
+     * The path of the log file.
+     * @type {string}
+     */
+    this.path = path.resolve(options.path);
+
+    /**
+     * The size in bytes that triggers a rollover.
+     * @type {number}
+     */
+    this.maxSize = options.maxSize || 0;
+
+    /**
+     * If the file should roll over daily.
+     * @type {boolean}
+     */
+    this.daily = Boolean(options.daily);
+
+    /**
+     * The amount of archives to keep.
+     * @type {number}
+     */
+    this.maxFiles = options.maxFiles === undefined ? 5 : options.maxFiles;
+
+    /**
+     * If the archives should be gzipped.
+     * @type {boolean}
+     */
+    this.gzip = Boolean(options.gzip);
+
+    /**
+     * The file descriptor of the open file.
+     * @type {number|null}
+     * @private
+     */
+    this._fd = null;
+
+    /**
+     * The current size of the file.
+     * @type {number}
+     * @private
+     */
+    this._size = 0;
+
+    /**
+     * The day the current file was started.
+     * @type {string}
+     * @private
+     */
+    this._day = "";
+
+    /**
+     * The archives being gzipped: the rotated file, the index it will take,
+     * its streams and the promise of their completion.
+     * @type {object[]}
+     * @private
+     */
+    this._compressing = [];
+
+    /**
+     * The amount of rotations, to name the files being gzipped.
+     * @type {number}
+     * @private
+     */
+    this._rotations = 0;
+
+    /**
+     * Closes the file when the process exits.
+     * @type {function}
+     * @private
+     */
+    this._onExit = () => this.close();
+
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    this._open();
+    process.once("exit", this._onExit);
+  }
+
+  /**
+   * Opens (or creates) the log file for appending.
+   * @private
+   */
+  _open() {
+    this._fd = fs.openSync(this.path, "a");
+    const stats = fs.fstatSync(this._fd);
+    this._size = stats.size;
+    this._day = dayOf(stats.size ? stats.mtimeMs : Date.now());
+  }
+
+  /**
+   * Obtains the path of an archive.
+   * @param {number} index The index of the archive.
+   * @param {boolean} gzip If the archive is gzipped.
+   * @returns {string}
+   * @private
+   */
+  _archive(index, gzip = this.gzip) {
+    return `${this.path}.${index}${gzip ? ".gz" : ""}`;
+  }
+
+  /**
+   * Checks if the file should roll over before writing.
+   * @param {number} bytes The size of the next write.
+   * @returns {boolean}
+   */
+  shouldRotate(bytes) {
+    if (this.maxSize && this._size && this._size + bytes > this.maxSize) {
+      return true;
+    }
+    return this.daily && this._day !== dayOf(Date.now());
+  }
+
+  /**
+   * Moves the current file into the archives and starts a new one.
+   * @returns {FileTransport}
+   */
+  rotate() {
+    this._closeFd();
+
+    if (this.maxFiles > 0) {
+      [true, false].forEach(gzip => {
+        const oldest = this._archive(this.maxFiles, gzip);
+        if (fs.existsSync(oldest)) {
+          fs.unlinkSync(oldest);
+        }
+      });
+      for (let i = this.maxFiles - 1; i > 0; i--) {
+        [true, false].forEach(gzip => {
+          if (fs.existsSync(this._archive(i, gzip))) {
+            fs.renameSync(this._archive(i, gzip), this._archive(i + 1, gzip));
+          }
+        });
+      }
+      this._compressing.forEach(job => job.index++);
+      if (this.gzip) {
+        const file = `${this.path}.${Date.now()}-${this._rotations++}`;
+        fs.renameSync(this.path, file);
+        this._compress(file);
+      } else {
+        fs.renameSync(this.path, this._archive(1));
+      }
+    } else {
+      fs.unlinkSync(this.path);
+    }
+
+    this._open();
+    return this;
+  }
+
+  /**
+   * Gzips a rotated file in the background, then moves it into its place
+   * among the archives.
+   * @param {string} file The path of the rotated file.
+   * @private
+   */
+  _compress(file) {
+    const job = { file, index: 1, cancelled: false };
+    const gzipped = `${file}.gz`;
+    job.done = new Promise(resolve => {
+      job.input = fs.createReadStream(file);
+      job.output = fs.createWriteStream(gzipped);
+      let finished = false;
+      const finish = error => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        job.output.destroy();
+        const index = this._compressing.indexOf(job);
+        if (index > -1) {
+          this._compressing.splice(index, 1);
+        }
+        const kept = !job.cancelled && job.index <= this.maxFiles;
+        if (!kept || error) {
+          fs.unlink(gzipped, () =>
+            job.cancelled
+              ? resolve()
+              : kept
+              ? fs.rename(file, this._archive(job.index, false), resolve)
+              : fs.unlink(file, resolve)
+          );
+        } else {
+          fs.rename(gzipped, this._archive(job.index, true), () =>
+            fs.unlink(file, resolve)
+          );
+        }
+      };
+      job.input.on("error", finish);
+      job.output.on("error", finish);
+      job.output.on("close", () => finish(null));
+      job.input.pipe(zlib.createGzip()).pipe(job.output);
+    }).then(() => undefined);
+    this._compressing.push(job);
+  }
+
+  /**
+   * Waits for the archives being gzipped.
+   * @returns {Promise}
+   */
+  flush() {
+    return Promise.all(this._compressing.map(job => job.done)).then(
+      () => undefined
+    );
+  }
+
+  /**
+   * Appends the entry into the file.
+   * @param {object} entry The log entry.
+   */
+  write(entry) {
+    const buffer = Buffer.from(this.formatText(entry) + "\n");
+    if (this._fd === null) {
+      this._open();
+      process.once("exit", this._onExit);
+    }
+    if (this.shouldRotate(buffer.length)) {
+      this.rotate();
+    }
+    fs.writeSync(this._fd, buffer);
+    this._size += buffer.length;
+  }
+
+  /**
+   * Closes the file descriptor.
+   * @private
+   */
+  _closeFd() {
+    if (this._fd !== null) {
+      fs.fsyncSync(this._fd);
+      fs.closeSync(this._fd);
+      this._fd = null;
+    }
+  }
+
+  /**
+   * Flushes and closes the file. The archives still being gzipped take their
+   * place uncompressed.
+   */
+  close() {
+    this._closeFd();
+    process.removeListener("exit", this._onExit);
+    this._compressing.splice(0).forEach(job => {
+      job.cancelled = true;
+      job.input.destroy();
+      job.output.destroy();
+      try {
+        if (job.index <= this.maxFiles) {
+          fs.renameSync(job.file, this._archive(job.index, false));
+        } else {
+          fs.unlinkSync(job.file);
+        }
+        fs.unlinkSync(`${job.file}.gz`);
+      } catch (e) {
+        // The gzip stream may not have created its file yet.
+      }
+    });
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,101 @@
+const { loadLogger } = require("./testing");
+const Logger = loadLogger();
+const FileTransport = require("./FileTransport");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+let dir;
+let logger;
+
+describe("FileTransport", () => {
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ezzy-logger-"));
+    logger = Logger.getLogger("info").removeTransport("console");
+  });
+
+  afterEach(() => {
+    logger.transports.forEach(transport => transport.close());
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+  });
+
+  it("should require a path", () => {
+    expect(() => new FileTransport()).toThrowError(TypeError);
+  });
+
+  it("should append the entries respecting the levels", () => {
+    const file = path.join(dir, "app.log");
+    logger.addTransport(new FileTransport({ path: file, level: "warn" }));
+    logger.info("Ignored");
+    logger.warn("Title", "Careful");
+    logger.debug("Hidden");
+    logger.error("Broken");
+    expect(fs.readFileSync(file, "utf8")).toBe(
+      "[WRN] [Title] Careful\n[ERR] Broken\n"
+    );
+  });
+
+  it("should write JSON entries", () => {
+    const file = path.join(dir, "app.json");
+    logger.addTransport(new FileTransport({ path: file, json: true }));
+    logger.info("Title", "Message");
+    const entry = JSON.parse(fs.readFileSync(file, "utf8"));
+    expect(entry.levelName).toBe("info");
+    expect(entry.message).toBe("Message");
+  });
+
+  it("should rotate by size keeping the archives", () => {
+    const file = path.join(dir, "app.log");
+    logger.addTransport(
+      new FileTransport({ path: file, maxSize: 20, maxFiles: 2 })
+    );
+    ["first", "second", "third", "fourth"].forEach(msg => logger.info(msg));
+    expect(fs.readFileSync(file, "utf8")).toBe("[INF] fourth\n");
+    expect(fs.readFileSync(`${file}.1`, "utf8")).toBe("[INF] third\n");
+    expect(fs.readFileSync(`${file}.2`, "utf8")).toBe("[INF] second\n");
+    expect(fs.existsSync(`${file}.3`)).toBe(false);
+  });
+
+  it("should gzip the archives in the background", done => {
+    const file = path.join(dir, "app.log");
+    const transport = new FileTransport({ path: file, gzip: true });
+    const gunzip = index =>
+      zlib.gunzipSync(fs.readFileSync(`${file}.${index}.gz`)).toString();
+    logger.addTransport(transport);
+    logger.info("Older");
+    transport.rotate();
+    logger.info("Archived");
+    transport.rotate();
+    logger.info("Current");
+    expect(fs.existsSync(`${file}.1.gz`)).toBe(false);
+    transport.flush().then(() => {
+      expect(gunzip(1)).toBe("[INF] Archived\n");
+      expect(gunzip(2)).toBe("[INF] Older\n");
+      expect(fs.readFileSync(file, "utf8")).toBe("[INF] Current\n");
+      expect(fs.readdirSync(dir).length).toBe(3);
+      done();
+    });
+  });
+
+  it("should keep the archives being gzipped when closed", () => {
+    const file = path.join(dir, "app.log");
+    const transport = new FileTransport({ path: file, gzip: true });
+    logger.addTransport(transport);
+    logger.info("Archived");
+    transport.rotate();
+    transport.close();
+    expect(fs.readFileSync(`${file}.1`, "utf8")).toBe("[INF] Archived\n");
+  });
+
+  it("should roll over daily", () => {
+    const file = path.join(dir, "app.log");
+    const transport = new FileTransport({ path: file, daily: true });
+    logger.addTransport(transport);
+    logger.info("Yesterday");
+    transport._day = "";
+    logger.info("Today");
+    expect(fs.readFileSync(`${file}.1`, "utf8")).toBe("[INF] Yesterday\n");
+    expect(fs.readFileSync(file, "utf8")).toBe("[INF] Today\n");
+  });
+});
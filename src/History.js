@@ -0,0 +1,78 @@
+/**
+ * A ring buffer keeping the last entries at every level, including the ones
+ * filtered out by the level of the logger, so the context that preceded an
+ * error can be written after it happened.
+ */
+class History {
+  /**
+   * @param {object=} options The options of the history.
+   * @param {number=} options.size The amount of entries to keep.
+   * @param {boolean=} options.dumpOnError If the history should be written
+   * when an error is logged.
+   */
+  constructor({ size = 100, dumpOnError = true } = {}) {
+    /**
+     * The amount of entries to keep.
+     * @type {number}
+     */
+    this.size = size;
+
+    /**
+     * If the history should be written when an error is logged.
+     * @type {boolean}
+     */
+    this.dumpOnError = dumpOnError;
+
+    /**
+     * The records of the entries, oldest first once the buffer is full.
+     * @type {Array<{entry: object, written: boolean}>}
+     * @private
+     */
+    this._records = [];
+
+    /**
+     * The position of the oldest record once the buffer is full.
+     * @type {number}
+     * @private
+     */
+    this._start = 0;
+  }
+
+  /**
+   * Keeps an entry, replacing the oldest one when the buffer is full.
+   * @param {object} entry The log entry.
+   * @param {boolean=} written If the entry was already written.
+   */
+  push(entry, written = false) {
+    const record = { entry, written };
+    if (this._records.length < this.size) {
+      this._records.push(record);
+    } else {
+      this._records[this._start] = record;
+      this._start = (this._start + 1) % this.size;
+    }
+  }
+
+  /**
+   * Obtains the entries kept, oldest first.
+   * @param {boolean=} all If the entries already written should be included.
+   * @returns {object[]}
+   */
+  entries(all = false) {
+    return this._records
+      .slice(this._start)
+      .concat(this._records.slice(0, this._start))
+      .filter(record => all || !record.written)
+      .map(record => record.entry);
+  }
+
+  /**
+   * Removes every entry.
+   */
+  clear() {
+    this._records = [];
+    this._start = 0;
+  }
+}
+
+module.exports = History;
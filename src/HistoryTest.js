@@ -0,0 +1,70 @@
+const { loadLogger, memoryLogger } = require("./testing");
+const Logger = loadLogger();
+const History = require("./History");
+let logger;
+let memory;
+
+describe("History", () => {
+  beforeEach(() => {
+    ({ logger, memory } = memoryLogger(Logger, { history: 3 }));
+  });
+
+  it("should keep the last entries", () => {
+    const history = new History({ size: 2 });
+    history.push(1);
+    history.push(2, true);
+    history.push(3);
+    expect(history.entries(true)).toEqual([2, 3]);
+    expect(history.entries()).toEqual([3]);
+    history.clear();
+    expect(history.entries(true)).toEqual([]);
+  });
+
+  it("should write the filtered entries when an error happens", () => {
+    logger.debug({ message: "Connecting", suffix: false });
+    logger.info("Started");
+    logger.deepDebug({ message: "Query", suffix: false });
+    logger.child({ id: 1 }).debug({ message: "Timeout", suffix: false });
+    expect(memory.lines).toEqual(["[INF] Started"]);
+    logger.error("Failed");
+    expect(memory.lines).toEqual([
+      "[INF] Started",
+      "[DBG] [HISTORY] Query",
+      "[DBG] [HISTORY] [id=1] Timeout",
+      "[ERR] Failed"
+    ]);
+    logger.error("Failed again");
+    expect(memory.lines.length).toBe(5);
+  });
+
+  it("should write the history on demand", () => {
+    logger.history = { size: 10, dumpOnError: false };
+    logger.debug({ message: "Connecting", suffix: false });
+    logger.info("Started");
+    logger.error("Failed");
+    expect(memory.lines).toEqual(["[INF] Started", "[ERR] Failed"]);
+    logger.dumpHistory(true);
+    expect(memory.lines.slice(2)).toEqual([
+      "[DBG] [HISTORY] Connecting",
+      "[INF] [HISTORY] Started",
+      "[ERR] [HISTORY] Failed"
+    ]);
+  });
+
+  it("should write the history before a fatal error", () => {
+    logger.debug({ message: "Connecting", suffix: false });
+    expect(() => logger.fatal("Broken")).toThrowError(TypeError);
+    expect(memory.lines).toEqual([
+      "[DBG] [HISTORY] Connecting",
+      "[ERR] Broken"
+    ]);
+  });
+
+  it("should not keep the entries of silent loggers", () => {
+    logger.silence();
+    logger.debug("Hidden");
+    logger.talk();
+    logger.dumpHistory();
+    expect(memory.lines).toEqual([]);
+  });
+});
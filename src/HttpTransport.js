@@ -0,0 +1,591 @@
+const Transport = require("./Transport");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const path = require("path");
+const util = require("util");
+const zlib = require("zlib");
+
+/**
+ * Compresses a payload.
+ * @type {function(Buffer): Promise<Buffer>}
+ * @private
+ */
+const gzip = util.promisify(zlib.gzip);
+
+/**
+ * Obtains the timestamp in nanoseconds of a record, as a string.
+ * @param {string} record The JSON record.
+ * @returns {string}
+ * @private
+ */
+const nanoseconds = record => {
+  let time;
+  try {
+    time = Date.parse(JSON.parse(record).time);
+  } catch (e) {}
+  return `${isNaN(time) ? Date.now() : time}000000`;
+};
+
+/**
+ * The payload formats by name. Each one has the content type and the
+ * function that builds the body from the records (the formatted entries).
+ *
+ * @type {object}
+ */
+const FORMATS = {
+  json: {
+    contentType: "application/json",
+    body: records => `[${records.join(",")}]`
+  },
+  ndjson: {
+    contentType: "application/x-ndjson",
+    body: records => `${records.join("\n")}\n`
+  },
+  elasticsearch: {
+    contentType: "application/x-ndjson",
+    body: records =>
+      `${records.map(record => `{"index":{}}\n${record}`).join("\n")}\n`
+  },
+  loki: {
+    contentType: "application/json",
+    body: (records, transport) =>
+      JSON.stringify({
+        streams: [
+          {
+            stream: transport.labels,
+            values: records.map(record => [nanoseconds(record), record])
+          }
+        ]
+      })
+  }
+};
+
+/**
+ * A transport that ships the entries in batches to an HTTP endpoint (e.g.
+ * an Elasticsearch bulk API, a Loki push API or a webhook).
+ *
+ * The entries are queued and sent when a batch is full or after an interval,
+ * gzipped unless disabled. Failed requests (network errors, 408, 429 and 5xx)
+ * are retried with an exponential backoff. When the retries are exhausted the
+ * batch is spilled into a local file, if any, and replayed once the queue is
+ * sent, at startup or after the next successful request. Entries are dropped
+ * (and counted) when the queue or the spill file are full, or when the
+ * endpoint rejects them or they cannot be formatted.
+ */
+class HttpTransport extends Transport {
+  /**
+   * @param {object} options The options of the transport.
+   * @param {string} options.url The URL of the endpoint.
+   * @param {string=} options.method The HTTP method.
+   * @param {object=} options.headers Extra headers (e.g. `Authorization`).
+   * @param {string|function=} options.format The payload format (`json`,
+   * `ndjson`, `elasticsearch` or `loki`) or a function that receives the
+   * records and returns the body.
+   * @param {object=} options.labels The stream labels of the `loki` format.
+   * @param {number=} options.batchSize The maximum amount of entries by
+   * request.
+   * @param {number=} options.interval The milliseconds to wait before sending
+   * an incomplete batch.
+   * @param {boolean=} options.gzip If the payloads should be gzipped.
+   * @param {number=} options.retries The amount of retries of a request.
+   * @param {number=} options.retryDelay The milliseconds to wait before the
+   * first retry. It doubles on each retry.
+   * @param {number=} options.maxRetryDelay The maximum milliseconds between
+   * retries.
+   * @param {number=} options.timeout The milliseconds to wait for a response.
+   * @param {number=} options.maxQueue The maximum amount of entries in memory.
+   * The oldest ones are dropped.
+   * @param {string=} options.spillPath The file that keeps the entries that
+   * could not be sent.
+   * @param {number=} options.maxSpillSize The maximum size in bytes of the
+   * spill file.
+   * @see Transport
+   */
+  constructor(options = {}) {
+    super(Object.assign({ name: "http", boring: true, json: true }, options));
+
+    if (!options.url) {
+      throw new TypeError("The http transport requires a url.");
+    }
+
+    /**
+     * The URL of the endpoint.
+     * @type {URL}
+     */
+    this.url = new URL(options.url);
+
+    /**
+     * The HTTP method.
+     * @type {string}
+     */
+    this.method = options.method || "POST";
+
+    /**
+     * The extra headers of the requests.
+     * @type {object}
+     */
+    this.headers = options.headers || {};
+
+    /**
+     * The payload format.
+     * @type {{contentType: string, body: function}}
+     */
+    this.payloadFormat =
+      typeof options.format === "function"
+        ? { contentType: "application/json", body: options.format }
+        : FORMATS[options.format || "json"];
+
+    if (!this.payloadFormat) {
+      throw new TypeError(`Unknown payload format '${options.format}'.`);
+    }
+
+    /**
+     * The stream labels of the `loki` format.
+     * @type {object}
+     */
+    this.labels = options.labels || {
+      app: process.argv[1]
+        ? path.basename(process.argv[1], path.extname(process.argv[1]))
+        : process.title
+    };
+
+    /**
+     * The maximum amount of entries by request.
+     * @type {number}
+     */
+    this.batchSize = options.batchSize || 100;
+
+    /**
+     * The milliseconds to wait before sending an incomplete batch.
+     * @type {number}
+     */
+    this.interval = options.interval === undefined ? 1000 : options.interval;
+
+    /**
+     * If the payloads should be gzipped.
+     * @type {boolean}
+     */
+    this.gzip = options.gzip === undefined ? true : Boolean(options.gzip);
+
+    /**
+     * The amount of retries of a request.
+     * @type {number}
+     */
+    this.retries = options.retries === undefined ? 5 : options.retries;
+
+    /**
+     * The milliseconds to wait before the first retry.
+     * @type {number}
+     */
+    this.retryDelay =
+      options.retryDelay === undefined ? 500 : options.retryDelay;
+
+    /**
+     * The maximum milliseconds between retries.
+     * @type {number}
+     */
+    this.maxRetryDelay = options.maxRetryDelay || 30000;
+
+    /**
+     * The milliseconds to wait for a response.
+     * @type {number}
+     */
+    this.timeout = options.timeout || 10000;
+
+    /**
+     * The maximum amount of entries in memory.
+     * @type {number}
+     */
+    this.maxQueue = options.maxQueue || 10000;
+
+    /**
+     * The file that keeps the entries that could not be sent.
+     * @type {string|null}
+     */
+    this.spillPath = options.spillPath ? path.resolve(options.spillPath) : null;
+
+    /**
+     * The maximum size in bytes of the spill file.
+     * @type {number}
+     */
+    this.maxSpillSize = options.maxSpillSize || 10 * 1024 * 1024;
+
+    /**
+     * The amount of entries sent.
+     * @type {number}
+     */
+    this.sent = 0;
+
+    /**
+     * The amount of entries dropped.
+     * @type {number}
+     */
+    this.dropped = 0;
+
+    /**
+     * The amount of entries spilled into the file.
+     * @type {number}
+     */
+    this.spilled = 0;
+
+    /**
+     * The last error or rejected response of the endpoint.
+     * @type {Error|null}
+     */
+    this.lastError = null;
+
+    /**
+     * The records waiting to be sent.
+     * @type {string[]}
+     * @private
+     */
+    this._queue = [];
+
+    /**
+     * The timer of the next incomplete batch.
+     * @type {*}
+     * @private
+     */
+    this._timer = null;
+
+    /**
+     * The shipping in progress.
+     * @type {Promise|null}
+     * @private
+     */
+    this._shipping = null;
+
+    /**
+     * The batches being sent or waiting for a retry.
+     * @type {Set<string[]>}
+     * @private
+     */
+    this._inFlight = new Set();
+
+    /**
+     * If the last batch could not be delivered.
+     * @type {boolean}
+     * @private
+     */
+    this._down = false;
+
+    /**
+     * The size of the spill file.
+     * @type {number}
+     * @private
+     */
+    this._spillSize =
+      this.spillPath && fs.existsSync(this.spillPath)
+        ? fs.statSync(this.spillPath).size
+        : 0;
+
+    /**
+     * If there is a replay file left by an interrupted replay.
+     * @type {boolean}
+     * @private
+     */
+    this._replayPending = Boolean(
+      this.spillPath && fs.existsSync(this._replayPath)
+    );
+
+    /**
+     * Spills the batches in flight and the queued records when the process
+     * exits.
+     * @type {function}
+     * @private
+     */
+    this._onExit = () => {
+      this._inFlight.forEach(batch => this._spill(batch));
+      this._spill(this._queue.splice(0));
+    };
+
+    process.once("exit", this._onExit);
+
+    if (this._spillSize || this._replayPending) {
+      this._schedule();
+    }
+  }
+
+  /**
+   * The payload formats by name.
+   * @returns {object}
+   */
+  static get formats() {
+    return FORMATS;
+  }
+
+  /**
+   * The amount of entries waiting to be sent.
+   * @returns {number}
+   */
+  get queued() {
+    return this._queue.length;
+  }
+
+  /**
+   * Queues the entry, sending the batch when full.
+   * @param {object} entry The log entry.
+   */
+  write(entry) {
+    this._queue.push(this.formatText(entry, false));
+    if (this._queue.length > this.maxQueue) {
+      this._queue.shift();
+      this.dropped++;
+    }
+    if (this._queue.length >= this.batchSize) {
+      this._ship();
+    } else {
+      this._schedule();
+    }
+  }
+
+  /**
+   * Sends the queued entries.
+   * @returns {Promise}
+   */
+  flush() {
+    return this._ship();
+  }
+
+  /**
+   * Sends the queued entries and stops spilling them on exit.
+   * @returns {Promise}
+   */
+  close() {
+    process.removeListener("exit", this._onExit);
+    return this._ship();
+  }
+
+  /**
+   * The path of the file being replayed.
+   * @returns {string}
+   * @private
+   */
+  get _replayPath() {
+    return `${this.spillPath}.replay`;
+  }
+
+  /**
+   * Schedules the sending of an incomplete batch.
+   * @private
+   */
+  _schedule() {
+    if (!this._timer) {
+      this._timer = setTimeout(() => this._ship(), this.interval);
+      this._timer.unref();
+    }
+  }
+
+  /**
+   * Starts sending the queued batches, unless already sending.
+   * @returns {Promise} Resolves when the queue is empty.
+   * @private
+   */
+  _ship() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (!this._shipping) {
+      this._shipping = this._shipNext()
+        .catch(error => {
+          this.lastError = error;
+        })
+        .finally(() => {
+          this._shipping = null;
+        });
+    }
+    return this._shipping;
+  }
+
+  /**
+   * Sends the next batch and the ones after it. Once the queue is empty, it
+   * replays the spill file unless the endpoint is down.
+   * @returns {Promise}
+   * @private
+   */
+  _shipNext() {
+    if (!this._queue.length) {
+      return this._down || !(this._spillSize || this._replayPending)
+        ? Promise.resolve()
+        : this._replay().then(() => this._queue.length && this._shipNext());
+    }
+    const batch = this._queue.splice(0, this.batchSize);
+    this._inFlight.add(batch);
+    return this._deliver(batch)
+      .then(delivered => {
+        this._inFlight.delete(batch);
+        if (!delivered) {
+          this._spill(batch);
+        }
+      })
+      .then(() => this._shipNext());
+  }
+
+  /**
+   * Sends the spilled records. The spill file is moved aside while being
+   * replayed and only removed once every record was delivered, so entries
+   * may be sent twice but are not lost when the process dies meanwhile.
+   * When the endpoint fails, the records not delivered are kept for the
+   * next replay.
+   * @returns {Promise}
+   * @private
+   */
+  _replay() {
+    const replayPath = this._replayPath;
+    let records;
+    try {
+      if (!this._replayPending) {
+        fs.renameSync(this.spillPath, replayPath);
+        this._spillSize = 0;
+        this._replayPending = true;
+      }
+      records = fs
+        .readFileSync(replayPath, "utf8")
+        .split("\n")
+        .filter(Boolean);
+    } catch (error) {
+      this.lastError = error;
+      this._spillSize = 0;
+      this._replayPending = false;
+      return Promise.resolve();
+    }
+    const next = index => {
+      if (index >= records.length) {
+        fs.unlinkSync(replayPath);
+        this._replayPending = false;
+        return this._spillSize ? this._replay() : Promise.resolve();
+      }
+      return this._deliver(records.slice(index, index + this.batchSize)).then(
+        delivered => {
+          if (delivered) {
+            return next(index + this.batchSize);
+          }
+          fs.writeFileSync(replayPath, `${records.slice(index).join("\n")}\n`);
+        }
+      );
+    };
+    return next(0);
+  }
+
+  /**
+   * Appends records into the spill file, or drops them when there is none,
+   * it is full or it cannot be written.
+   * @param {string[]} records The records.
+   * @private
+   */
+  _spill(records) {
+    if (!records.length) {
+      return;
+    }
+    const buffer = Buffer.from(`${records.join("\n")}\n`);
+    if (
+      !this.spillPath ||
+      this._spillSize + buffer.length > this.maxSpillSize
+    ) {
+      this.dropped += records.length;
+      return;
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.spillPath), { recursive: true });
+      fs.appendFileSync(this.spillPath, buffer);
+    } catch (error) {
+      this.lastError = error;
+      this.dropped += records.length;
+      return;
+    }
+    this._spillSize += buffer.length;
+    this.spilled += records.length;
+  }
+
+  /**
+   * Sends records, retrying with an exponential backoff.
+   * @param {string[]} records The records.
+   * @returns {Promise<boolean>} If the endpoint received them. Records
+   * rejected by the endpoint are dropped and also count as received.
+   * @private
+   */
+  _deliver(records) {
+    const attempt = (payload, retry) =>
+      this._request(payload).then(status => {
+        if (status >= 200 && status < 300) {
+          this._down = false;
+          this.sent += records.length;
+          return true;
+        }
+        if (status && status !== 408 && status !== 429 && status < 500) {
+          this._down = false;
+          this.dropped += records.length;
+          return true;
+        }
+        if (retry >= this.retries) {
+          this._down = true;
+          return false;
+        }
+        const delay = Math.min(
+          this.retryDelay * Math.pow(2, retry),
+          this.maxRetryDelay
+        );
+        return new Promise(resolve =>
+          setTimeout(resolve, delay).unref()
+        ).then(() => attempt(payload, retry + 1));
+      });
+    return Promise.resolve()
+      .then(() => {
+        const body = Buffer.from(this.payloadFormat.body(records, this));
+        return this.gzip ? gzip(body) : body;
+      })
+      .then(
+        payload => attempt(payload, 0),
+        error => {
+          this.lastError = error;
+          this.dropped += records.length;
+          return true;
+        }
+      );
+  }
+
+  /**
+   * Makes a request to the endpoint.
+   * @param {Buffer} payload The body of the request.
+   * @returns {Promise<number>} The status of the response, or 0 when the
+   * request failed.
+   * @private
+   */
+  _request(payload) {
+    const headers = Object.assign(
+      {
+        "Content-Type": this.payloadFormat.contentType,
+        "Content-Length": payload.length
+      },
+      this.gzip ? { "Content-Encoding": "gzip" } : {},
+      this.headers
+    );
+    return new Promise(resolve => {
+      const client = this.url.protocol === "https:" ? https : http;
+      const request = client.request(
+        this.url,
+        { method: this.method, headers, timeout: this.timeout },
+        response => {
+          if (response.statusCode >= 300) {
+            this.lastError = new Error(
+              `The endpoint responded ${response.statusCode}.`
+            );
+          }
+          response.resume();
+          response.on("error", () => resolve(0));
+          response.on("end", () => resolve(response.statusCode));
+        }
+      );
+      request.on("timeout", () =>
+        request.destroy(new Error("The request timed out."))
+      );
+      request.on("error", error => {
+        this.lastError = error;
+        resolve(0);
+      });
+      request.end(payload);
+    });
+  }
+}
+
+module.exports = HttpTransport;
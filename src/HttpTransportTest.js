@@ -0,0 +1,286 @@
+const { loadLogger } = require("./testing");
+const Logger = loadLogger();
+const HttpTransport = require("./HttpTransport");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+let server;
+let requests;
+let statuses;
+let url;
+
+/**
+ * Creates a logger shipping to the mock server.
+ * @param {object=} options The options of the transport.
+ * @returns {{logger: Logger, transport: HttpTransport}}
+ */
+const shipping = options => {
+  const transport = new HttpTransport(
+    Object.assign({ url, interval: 10000, retryDelay: 1 }, options)
+  );
+  const logger = Logger.getLogger("info", false, { transports: [transport] });
+  return { logger, transport };
+};
+
+describe("HttpTransport", () => {
+  beforeEach(done => {
+    requests = [];
+    statuses = [];
+    server = http.createServer((request, response) => {
+      const chunks = [];
+      request.on("data", chunk => chunks.push(chunk));
+      request.on("end", () => {
+        const body = Buffer.concat(chunks);
+        requests.push({
+          headers: request.headers,
+          body: (request.headers["content-encoding"] === "gzip"
+            ? zlib.gunzipSync(body)
+            : body
+          ).toString()
+        });
+        response.statusCode = statuses.length ? statuses.shift() : 200;
+        response.end();
+      });
+    });
+    server.listen(0, "127.0.0.1", () => {
+      url = `http://127.0.0.1:${server.address().port}/logs`;
+      done();
+    });
+  });
+
+  afterEach(done => server.close(done));
+
+  it("should validate the options", () => {
+    expect(() => new HttpTransport()).toThrowError(TypeError);
+    expect(() => new HttpTransport({ url, format: "xml" })).toThrowError(
+      TypeError
+    );
+  });
+
+  it("should send gzipped batches of JSON entries", done => {
+    const { logger, transport } = shipping({
+      batchSize: 2,
+      headers: { Authorization: "Bearer token" }
+    });
+    logger.child({ requestId: "r1" }).info("First");
+    logger.warn({ message: "Second", fields: { status: 503 } });
+    logger.error("Third");
+    expect(transport.queued).toBe(1);
+    transport.flush().then(() => {
+      expect(requests.length).toBe(2);
+      expect(requests[0].headers).toEqual(
+        jasmine.objectContaining({
+          "content-type": "application/json",
+          "content-encoding": "gzip",
+          authorization: "Bearer token"
+        })
+      );
+      const batch = JSON.parse(requests[0].body);
+      expect(batch.map(record => record.message)).toEqual(["First", "Second"]);
+      expect(batch[0].requestId).toBe("r1");
+      expect(batch[1]).toEqual(
+        jasmine.objectContaining({ levelName: "warn", status: 503 })
+      );
+      expect(JSON.parse(requests[1].body)[0].message).toBe("Third");
+      expect(transport.sent).toBe(3);
+      done();
+    });
+  });
+
+  it("should send incomplete batches after the interval", done => {
+    const { logger, transport } = shipping({ interval: 10, gzip: false });
+    logger.info("Later");
+    setTimeout(() => {
+      expect(requests.length).toBe(1);
+      expect(requests[0].headers["content-encoding"]).toBeUndefined();
+      expect(transport.sent).toBe(1);
+      done();
+    }, 100);
+  });
+
+  it("should retry the failed requests", done => {
+    statuses = [503, 429];
+    const { logger, transport } = shipping();
+    logger.info("Retried");
+    transport.flush().then(() => {
+      expect(requests.length).toBe(3);
+      expect(transport.sent).toBe(1);
+      expect(transport.lastError.message).toBe("The endpoint responded 429.");
+      done();
+    });
+  });
+
+  it("should drop the entries rejected by the endpoint", done => {
+    statuses = [400];
+    const { logger, transport } = shipping();
+    logger.info("Invalid");
+    transport.flush().then(() => {
+      expect(requests.length).toBe(1);
+      expect(transport.dropped).toBe(1);
+      expect(transport.sent).toBe(0);
+      done();
+    });
+  });
+
+  it("should bound the queue", done => {
+    const { logger, transport } = shipping({ maxQueue: 2 });
+    logger.info("One");
+    logger.info("Two");
+    logger.info("Three");
+    expect(transport.dropped).toBe(1);
+    transport.flush().then(() => {
+      const batch = JSON.parse(requests[0].body);
+      expect(batch.map(record => record.message)).toEqual(["Two", "Three"]);
+      done();
+    });
+  });
+
+  it("should spill the entries while the endpoint is down and replay them", done => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ezzy-logger-"));
+    const spillPath = path.join(dir, "spill.ndjson");
+    statuses = [500, 500];
+    const { logger, transport } = shipping({ retries: 1, spillPath });
+    logger.info("Lost");
+    transport
+      .flush()
+      .then(() => {
+        expect(transport.spilled).toBe(1);
+        expect(JSON.parse(fs.readFileSync(spillPath, "utf8")).message).toBe(
+          "Lost"
+        );
+        logger.info("Back");
+        return transport.flush();
+      })
+      .then(() => {
+        expect(requests.length).toBe(4);
+        expect(JSON.parse(requests[2].body)[0].message).toBe("Back");
+        expect(JSON.parse(requests[3].body)[0].message).toBe("Lost");
+        expect(transport.sent).toBe(2);
+        expect(fs.existsSync(spillPath)).toBe(false);
+        transport.close();
+        fs.rmdirSync(dir);
+        done();
+      });
+  });
+
+  it("should keep shipping when the spill file or the payload fail", done => {
+    statuses = [500];
+    const { logger, transport } = shipping({
+      retries: 0,
+      spillPath: path.join(__filename, "spill.ndjson")
+    });
+    logger.info("Unspillable");
+    transport
+      .flush()
+      .then(() => {
+        expect(transport.dropped).toBe(1);
+        expect(transport.lastError.code).toBe("EEXIST");
+        transport.payloadFormat = {
+          body: () => {
+            throw new Error("Unformattable");
+          }
+        };
+        logger.info("Broken");
+        return transport.flush();
+      })
+      .then(() => {
+        expect(transport.dropped).toBe(2);
+        expect(transport.lastError.message).toBe("Unformattable");
+        transport.payloadFormat = HttpTransport.formats.json;
+        logger.info("Fine");
+        return transport.flush();
+      })
+      .then(() => {
+        expect(transport.sent).toBe(1);
+        expect(transport._shipping).toBe(null);
+        transport.close();
+        done();
+      });
+  });
+
+  it("should spill the batches in flight when the process exits", done => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ezzy-logger-"));
+    const spillPath = path.join(dir, "spill.ndjson");
+    statuses = [503];
+    const { logger, transport } = shipping({ retryDelay: 60000, spillPath });
+    logger.info("Retrying");
+    transport.flush();
+    logger.info("Queued");
+    setTimeout(() => {
+      transport._onExit();
+      const spilled = fs
+        .readFileSync(spillPath, "utf8")
+        .trim()
+        .split("\n")
+        .map(record => JSON.parse(record).message);
+      expect(spilled).toEqual(["Retrying", "Queued"]);
+      transport.close();
+      fs.unlinkSync(spillPath);
+      fs.rmdirSync(dir);
+      done();
+    }, 50);
+  });
+
+  it("should replay the spill file at startup and keep what fails", done => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ezzy-logger-"));
+    const spillPath = path.join(dir, "spill.ndjson");
+    const records = ['{"message":"One"}', '{"message":"Two"}'];
+    fs.writeFileSync(spillPath, `${records.join("\n")}\n`);
+    statuses = [200, 500];
+    const { transport } = shipping({ batchSize: 1, retries: 0, spillPath });
+    transport.flush().then(() => {
+      expect(requests.map(request => request.body)).toEqual([
+        `[${records[0]}]`,
+        `[${records[1]}]`
+      ]);
+      expect(fs.existsSync(spillPath)).toBe(false);
+      expect(fs.readFileSync(`${spillPath}.replay`, "utf8")).toBe(
+        `${records[1]}\n`
+      );
+      transport.close();
+      const restarted = shipping({ interval: 1, spillPath }).transport;
+      setTimeout(() => {
+        expect(requests[2].body).toBe(`[${records[1]}]`);
+        expect(fs.readdirSync(dir)).toEqual([]);
+        restarted.close();
+        fs.rmdirSync(dir);
+        done();
+      }, 100);
+    });
+  });
+
+  it("should drop the entries when it cannot spill them", done => {
+    server.close();
+    const { logger, transport } = shipping({
+      url: "http://127.0.0.1:1/logs",
+      retries: 0
+    });
+    logger.info("Nowhere");
+    transport.flush().then(() => {
+      expect(transport.dropped).toBe(1);
+      expect(transport.lastError.code).toBe("ECONNREFUSED");
+      server.listen(0, done);
+    });
+  });
+
+  it("should format the payloads for the ingestion endpoints", () => {
+    const records = ['{"time":"2020-01-01T00:00:00.000Z","message":"Hi"}'];
+    const formats = HttpTransport.formats;
+    expect(formats.ndjson.body(records)).toBe(`${records[0]}\n`);
+    expect(formats.elasticsearch.body(records)).toBe(
+      `{"index":{}}\n${records[0]}\n`
+    );
+    expect(
+      JSON.parse(formats.loki.body(records, { labels: { app: "api" } }))
+    ).toEqual({
+      streams: [
+        {
+          stream: { app: "api" },
+          values: [["1577836800000000000", records[0]]]
+        }
+      ]
+    });
+  });
+});
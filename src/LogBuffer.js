@@ -0,0 +1,205 @@
+/**
+ * The open buffers, drained by a single set of process hooks.
+ *
+ * @type {Set<LogBuffer>}
+ * @private
+ */
+const _buffers = new Set();
+
+/**
+ * Drains every open buffer synchronously.
+ * @private
+ */
+const drainAll = () => _buffers.forEach(buffer => buffer.flush(true));
+
+/**
+ * The maximum milliseconds to wait for the buffers to drain on a signal.
+ *
+ * @type {number}
+ * @private
+ */
+const SIGNAL_TIMEOUT = 5000;
+
+/**
+ * Drains every open buffer and lets the signal continue its course, even if
+ * a transport never finishes writing.
+ * @param {string} signal The signal received.
+ * @private
+ */
+const onSignal = signal => {
+  process.removeListener(signal, onSignal);
+  let timer;
+  Promise.race([
+    Promise.all(Array.from(_buffers).map(buffer => buffer.flush(true))),
+    new Promise(resolve => (timer = setTimeout(resolve, SIGNAL_TIMEOUT)))
+  ])
+    .catch(() => {})
+    .then(() => {
+      clearTimeout(timer);
+      if (!process.listenerCount(signal)) {
+        process.kill(process.pid, signal);
+      }
+    });
+};
+
+/**
+ * Adds or removes the process hooks shared by the buffers.
+ * @param {boolean} on If the hooks should be added.
+ * @private
+ */
+const hook = on => {
+  const method = on ? "on" : "removeListener";
+  process[method]("beforeExit", drainAll);
+  process[method]("exit", drainAll);
+  process[method]("uncaughtExceptionMonitor", drainAll);
+  process[method]("SIGTERM", onSignal);
+};
+
+/**
+ * A queue of log entries that are written in batches, either when the
+ * interval elapses or the size threshold is reached. The queue is drained
+ * before the process exits, on SIGTERM (waiting up to 5 seconds for the
+ * transports) and on uncaught exceptions.
+ */
+class LogBuffer {
+  /**
+   * @param {object=} options The options of the buffer.
+   * @param {number=} options.interval The milliseconds to wait before
+   * writing the queued entries.
+   * @param {number=} options.size The amount of entries that triggers a write.
+   * @param {number=} options.maxQueue The maximum amount of queued entries.
+   * The oldest entries are dropped when a slow transport can't keep up.
+   * @param {function} write The function writing a batch of entries. It may
+   * return a promise to apply back-pressure.
+   */
+  constructor({ interval = 100, size = 100, maxQueue = 10000 } = {}, write) {
+    /**
+     * The milliseconds to wait before writing.
+     * @type {number}
+     */
+    this.interval = interval;
+
+    /**
+     * The amount of entries that triggers a write.
+     * @type {number}
+     */
+    this.size = size;
+
+    /**
+     * The maximum amount of queued entries.
+     * @type {number}
+     */
+    this.maxQueue = maxQueue;
+
+    /**
+     * The entries waiting to be written.
+     * @type {object[]}
+     */
+    this.queue = [];
+
+    /**
+     * The amount of entries dropped because the queue was full.
+     * @type {number}
+     */
+    this.dropped = 0;
+
+    /**
+     * The function that writes a batch.
+     * @type {function}
+     * @private
+     */
+    this._write = write;
+
+    /**
+     * The pending writes.
+     * @type {Promise}
+     * @private
+     */
+    this._pending = Promise.resolve();
+
+    /**
+     * If a batch is still being written.
+     * @type {boolean}
+     * @private
+     */
+    this._busy = false;
+
+    /**
+     * The timer of the next write.
+     * @type {*}
+     * @private
+     */
+    this._timer = null;
+
+    _buffers.add(this);
+    if (_buffers.size === 1) {
+      hook(true);
+    }
+  }
+
+  /**
+   * Queues an entry.
+   * @param {object} entry The log entry.
+   * @returns {LogBuffer}
+   */
+  push(entry) {
+    this.queue.push(entry);
+    if (this.queue.length > this.maxQueue) {
+      this.queue.shift();
+      this.dropped++;
+    }
+    if (this.queue.length >= this.size && !this._busy) {
+      this.flush();
+    } else if (!this._timer) {
+      this._timer = setTimeout(() => this.flush(), this.interval);
+      if (this._timer.unref) {
+        this._timer.unref();
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Writes the queued entries. The entries are handed to the transports
+   * synchronously unless a previous batch is still being written, in which
+   * case they wait for it (unless forced).
+   * @param {boolean=} force If the entries should be written right away.
+   * @returns {Promise} Resolves when every write is done.
+   */
+  flush(force = false) {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (!this.queue.length) {
+      return this._pending;
+    }
+    if (this._busy && !force) {
+      return this._pending.then(() => this.flush());
+    }
+    const entries = this.queue;
+    this.queue = [];
+    this._busy = true;
+    const pending = Promise.all([this._pending, this._write(entries)]).then(
+      () => {
+        if (this._pending === pending) {
+          this._busy = false;
+        }
+      }
+    );
+    this._pending = pending;
+    return pending;
+  }
+
+  /**
+   * Writes the queued entries and stops draining the buffer on exit. The
+   * process hooks are removed once every buffer is closed.
+   * @returns {Promise}
+   */
+  close() {
+    if (_buffers.delete(this) && !_buffers.size) {
+      hook(false);
+    }
+    return this.flush(true);
+  }
+}
+
+module.exports = LogBuffer;
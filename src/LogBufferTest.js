@@ -0,0 +1,79 @@
+const LogBuffer = require("./LogBuffer");
+
+describe("LogBuffer", () => {
+  it("should write the queue once the interval elapses", done => {
+    const write = jasmine.createSpy();
+    const buffer = new LogBuffer({ interval: 10 }, write);
+    buffer.push(1).push(2);
+    expect(write).not.toHaveBeenCalled();
+    setTimeout(() => {
+      expect(write).toHaveBeenCalledWith([1, 2]);
+      buffer.close();
+      done();
+    }, 50);
+  });
+
+  it("should apply back-pressure and drop the oldest entries", done => {
+    let release;
+    const batches = [];
+    const buffer = new LogBuffer({ size: 2, maxQueue: 3 }, entries => {
+      batches.push(entries);
+      return new Promise(resolve => (release = resolve));
+    });
+    buffer.push(1).push(2);
+    [3, 4, 5, 6, 7].forEach(entry => buffer.push(entry));
+    expect(batches).toEqual([[1, 2]]);
+    expect(buffer.dropped).toBe(2);
+    const flushed = buffer.flush();
+    release();
+    setTimeout(() => {
+      expect(batches).toEqual([
+        [1, 2],
+        [5, 6, 7]
+      ]);
+      release();
+      flushed.then(() => {
+        buffer.close();
+        done();
+      });
+    }, 10);
+  });
+
+  it("should drain the queues when the process exits", () => {
+    const listeners = process.listeners("exit");
+    const write = jasmine.createSpy();
+    const buffers = [new LogBuffer({}, write), new LogBuffer({}, write)];
+    buffers[0].push(1);
+    buffers[1].push(2);
+    const added = process
+      .listeners("exit")
+      .filter(listener => !listeners.includes(listener));
+    expect(added.length).toBe(1);
+    added[0]();
+    expect(write.calls.allArgs()).toEqual([[[1]], [[2]]]);
+    buffers.forEach(buffer => buffer.close());
+    expect(process.listeners("exit")).toEqual(listeners);
+  });
+
+  it("should let SIGTERM through when a write never finishes", done => {
+    const listeners = process.listeners("SIGTERM");
+    const kill = spyOn(process, "kill");
+    jasmine.clock().install();
+    const buffer = new LogBuffer({}, () => new Promise(() => {}));
+    buffer.push(1);
+    const onSignal = process
+      .listeners("SIGTERM")
+      .find(listener => listener.name === "onSignal");
+    process.removeAllListeners("SIGTERM");
+    onSignal("SIGTERM");
+    jasmine.clock().tick(5000);
+    setImmediate(() => {
+      expect(kill).toHaveBeenCalledWith(process.pid, "SIGTERM");
+      jasmine.clock().uninstall();
+      buffer.close();
+      process.removeAllListeners("SIGTERM");
+      listeners.forEach(listener => process.on("SIGTERM", listener));
+      done();
+    });
+  });
+});
@@ -13,6 +13,10 @@ const DEFAULT_LEVEL = argument(["LOG_LEVEL", "NODE_LOG_LEVEL"], "info");
 const BORING_LOG = argument("BORING_LOG", "false") !== "false";
 const USE_CONSOLE_LOG = argument("USE_CONSOLE_LOG", "false") !== "false";
 const HIDE_ARGUMENTS = argument("HIDE_ARGUMENTS", "false") !== "false";
+const JSON_LOG = argument("JSON_LOG", "false") !== "false";
+const LOG_NAMESPACES = argument("LOG_NAMESPACES", "");
+const LOG_TIMESTAMP = argument("LOG_TIMESTAMP", "");
+const LOG_TIMEZONE = argument("LOG_TIMEZONE", "");
 const path = require("path");
 const callsite = require("callsite");
 const clc = require("cli-color");
@@ -25,15 +29,151 @@ const DEEP_DEBUG_LEVEL = LOG_LEVELS.indexOf("deepDebug");
 const WARN_LEVEL = LOG_LEVELS.indexOf("warn");
 const ERROR_LEVEL = LOG_LEVELS.indexOf("error");
 const trueTypeOf = require("ezzy-typeof");
+const Transport = require("./Transport");
+const ConsoleTransport = require("./ConsoleTransport");
+const MemoryTransport = require("./MemoryTransport");
+const FileTransport = require("./FileTransport");
+const SyslogTransport = require("./SyslogTransport");
+const HttpTransport = require("./HttpTransport");
+const namespaces = require("./namespaces");
+const LogBuffer = require("./LogBuffer");
+const Redactor = require("./Redactor");
+const Serializer = require("./Serializer");
+const Timer = require("./Timer");
+const Template = require("./Template");
+const timestamps = require("./timestamps");
+const RateLimiter = require("./RateLimiter");
+const Deduplicator = require("./Deduplicator");
+const History = require("./History");
+const control = require("./control");
+const Capture = require("./Capture");
+const processHandlers = require("./processHandlers");
+const intercept = require("./intercept");
+const requestLogger = require("./requestLogger");
 const isBrowser = !process || !process.argv;
 
 /**
- * The throttle timeouts.
+ * The files of this library (the entry point, this module and the modules it
+ * requires), skipped when looking for the call site of an entry.
+ *
+ * @type {Set<string>}
+ * @private
+ */
+const _ownFiles = new Set(
+  [__filename, path.join(__dirname, "..", "index.js")].concat(
+    module.children.map(child => child.filename)
+  )
+);
+
+/**
+ * The named loggers by namespace.
  *
  * @type {object}
  * @private
  */
-const _throttle = {};
+const _named = {};
+
+/**
+ * The named loggers whose level was set directly, so they no longer follow
+ * the level of the default logger.
+ *
+ * @type {WeakSet<Logger>}
+ * @private
+ */
+const _pinned = new WeakSet();
+
+/**
+ * The rules that enable the namespaces.
+ *
+ * @type {object[]}
+ * @private
+ */
+let _namespaceRules = namespaces.parse(LOG_NAMESPACES);
+
+/**
+ * The storage of the context of the asynchronous call chains. Not available
+ * in the browser or in versions of node without AsyncLocalStorage.
+ *
+ * @type {AsyncLocalStorage|null}
+ * @private
+ */
+const _storage = (() => {
+  try {
+    return new (require("async_hooks").AsyncLocalStorage)();
+  } catch (e) {
+    return null;
+  }
+})();
+
+/**
+ * The active captures of the entries.
+ *
+ * @type {Set<Capture>}
+ * @private
+ */
+const _captures = new Set();
+
+/**
+ * Checks if an active capture keeps the entries from the transports.
+ * @returns {boolean}
+ * @private
+ */
+const isMuted = () =>
+  Array.from(_captures).some(capture => !capture.passthrough);
+
+/**
+ * The interception of the console when globalized in node.
+ *
+ * @type {{console: object, restore: function}|null}
+ * @private
+ */
+let _intercepted = null;
+
+/**
+ * The time of the last entry logged, for timestamp deltas.
+ *
+ * @type {number}
+ * @private
+ */
+let _lastTime = 0;
+
+/**
+ * Obtains the timestamp format out of a setting, where `true` means ISO 8601.
+ * @param {boolean|string} value The setting.
+ * @returns {string} The name of the format or an empty string.
+ * @private
+ */
+const timestampFormat = value => {
+  if (!value || value === "false") {
+    return "";
+  }
+  const name = value === true || value === "true" ? "iso" : value;
+  if (!timestamps.FORMATS[name]) {
+    throw new TypeError(`The timestamp format '${name}' doesn't exist.`);
+  }
+  return name;
+};
+
+/**
+ * The severity of every level by name. The lower the severity, the more
+ * severe the level is.
+ *
+ * @type {object}
+ * @private
+ */
+const _severities = LOG_LEVELS.reduce((severities, name, i) => {
+  severities[name] = i;
+  return severities;
+}, {});
+
+/**
+ * Obtains the severity of a level name.
+ * @param {string} name The name of the level.
+ * @returns {number} The severity or -1 if the level doesn't exist.
+ * @private
+ */
+const severityOf = name =>
+  _severities.hasOwnProperty(name) ? _severities[name] : -1;
 
 /**
  * A logger class that spits out log entries into the console colored and
@@ -43,8 +183,40 @@ class Logger {
   /**
    * @param {string|number} level The default start level.
    * @param {boolean} silent If the logger should start silent.
+   * @param {object=} options Additional options of the logger.
+   * @param {boolean=} options.json If the entries should be written as JSON.
+   * @param {object=} options.context The fields bound to every entry.
+   * @param {Transport[]=} options.transports The initial transports. Loggers
+   * derived from a parent use its transports when not given.
+   * @param {Logger=} options.parent The logger this one derives from.
+   * @param {string=} options.namespace The namespace of a named logger.
+   * @param {boolean|object|LogBuffer=} options.buffer If the entries should
+   * be queued and written in batches, or the options of the buffer.
+   * @param {object|Redactor=} options.redact The sensitive paths and patterns
+   * to mask before the entries reach the transports.
+   * @param {object|Serializer=} options.serializer The serializer of the data
+   * and objects, or its options (maxDepth, maxLength, maxStringLength).
+   * @param {boolean=} options.trimStack If the stack frames coming from
+   * node_modules should be removed from the errors.
+   * @param {string|Template=} options.template The text layout of the entries
+   * (e.g. `{time:iso} {level:pad5} [{namespace}] {message} {data}`).
+   * @param {boolean|string=} options.timestamp If every entry should start
+   * with a timestamp, or its format (`iso`, `local`, `time`, `epoch`,
+   * `elapsed` or `delta`).
+   * @param {string=} options.timeZone The IANA time zone of the timestamps
+   * (e.g. `UTC`, `America/New_York`). ISO timestamps default to UTC and the
+   * rest to the local time zone.
+   * @param {object|RateLimiter=} options.rateLimit The sampling by level and
+   * the rate limits of the entries.
+   * @param {boolean|object|Deduplicator=} options.dedup If consecutive
+   * identical entries should be collapsed, or the options of the
+   * deduplication (window).
+   * @param {number|object|History=} options.history The amount of entries to
+   * keep at every level (even the ones filtered out by the level) to write
+   * them when an error happens, or the options of the history (size,
+   * dumpOnError).
    */
-  constructor(level = DEFAULT_LEVEL, silent = false) {
+  constructor(level = DEFAULT_LEVEL, silent = false, options = {}) {
     /**
      * Indicates if we should be silent.
      *
@@ -54,16 +226,12 @@ class Logger {
     this.silent = silent;
 
     /**
-     * Checks if the current logging is groupped.
-     * @type {boolean}
-     */
-    this.isGroupped = false;
-
-    /**
-     * The time the group started.
-     * @type {number}
+     * The stack of open groups. Every group has its title, the time it
+     * started, its timer and if the transports opened it.
+     * @type {Array<{title: string, ts: number, timer: Timer, opened: boolean}>}
+     * @private
      */
-    this._groupTS = 0;
+    this._groups = [];
 
     /**
      * The level of logging.
@@ -71,10 +239,10 @@ class Logger {
      * @type {string}
      * @private
      */
-    this._level = LOG_LEVELS.indexOf(level);
+    this._level = isNaN(level) ? severityOf(level) : parseFloat(level);
 
     /**
-     * The levels of logging.
+     * The names of the levels of logging, sorted by severity.
      * @type {string[]}
      */
     this.LEVELS = LOG_LEVELS;
@@ -93,17 +261,174 @@ class Logger {
     this._consoleLog = USE_CONSOLE_LOG;
 
     /**
-     * The group title. This can be updated by starting a new group and
-     * every log after that will contain this title.
+     * Indicates if the entries should be written as one JSON object per line.
+     * @type {boolean}
+     * @private
+     */
+    this._json = options.json === undefined ? JSON_LOG : Boolean(options.json);
+
+    /**
+     * The own transports (sinks) of the logger, or null to use the ones of
+     * its parent.
+     * @type {Transport[]|null}
+     * @private
+     */
+    this._transports = options.transports
+      ? options.transports.slice()
+      : options.parent
+      ? null
+      : [new ConsoleTransport()];
+
+    /**
+     * The fields bound to every entry of this logger.
+     * @type {object}
+     */
+    this.context = Object.assign({}, options.context);
+
+    /**
+     * The logger this logger was derived from.
+     * @type {Logger|null}
+     */
+    this.parent = options.parent || null;
+
+    /**
+     * The namespace of the logger (e.g. `db:pool`).
      * @type {string}
+     */
+    this.namespace = options.namespace || "";
+
+    /**
+     * The resources created by this logger (and not inherited from its
+     * parent), released when it is closed.
+     * @type {Set<object>}
+     * @private
+     */
+    this._owned = new Set();
+
+    /**
+     * The buffer of the entries when writing in batches.
+     * @type {LogBuffer|null}
      * @private
      */
-    this._groupTitle = "";
+    this._buffer =
+      options.buffer instanceof LogBuffer
+        ? options.buffer
+        : options.buffer
+        ? this._own(
+            new LogBuffer(
+              options.buffer === true ? {} : options.buffer,
+              entries => Logger._writeBatch(entries)
+            )
+          )
+        : null;
+
+    /**
+     * The redactor of sensitive values.
+     * @type {Redactor|null}
+     * @private
+     */
+    this._redactor = null;
+    this.redact = options.redact;
+
+    /**
+     * The serializer of the data and objects logged.
+     * @type {Serializer}
+     * @private
+     */
+    this._serializer =
+      options.serializer instanceof Serializer
+        ? options.serializer
+        : new Serializer(options.serializer);
+    if (options.trimStack !== undefined) {
+      this._serializer.trimStack = Boolean(options.trimStack);
+    }
+
+    /**
+     * The timers started by label.
+     * @type {object}
+     * @private
+     */
+    this._timers = {};
+
+    /**
+     * The text layout of the entries.
+     * @type {Template|null}
+     * @private
+     */
+    this._template = null;
+    this.template = options.template;
+
+    /**
+     * The format of the timestamp of every entry.
+     * @type {string}
+     * @private
+     */
+    this._timestamp = "";
+    this._configure(
+      "timestamp",
+      options.timestamp,
+      "LOG_TIMESTAMP",
+      LOG_TIMESTAMP
+    );
+
+    /**
+     * The time zone of the timestamps.
+     * @type {string}
+     * @private
+     */
+    this._timeZone = "";
+    this._configure("timeZone", options.timeZone, "LOG_TIMEZONE", LOG_TIMEZONE);
+
+    /**
+     * The sampling and rate limits of the entries.
+     * @type {RateLimiter|null}
+     * @private
+     */
+    this._limiter = null;
+    this.rateLimit = options.rateLimit;
+
+    /**
+     * The deduplication of consecutive identical entries.
+     * @type {Deduplicator|null}
+     * @private
+     */
+    this._dedup = null;
+    this.dedup = options.dedup;
+
+    /**
+     * The last entries at every level.
+     * @type {History|null}
+     * @private
+     */
+    this._history = null;
+    this.history = options.history;
+
+    /**
+     * The throttle timeouts by level and message.
+     * @type {object}
+     * @private
+     */
+    this._throttles = {};
+
+    /**
+     * The callbacks run before the process exits.
+     * @type {function[]}
+     * @private
+     */
+    this._shutdown = [];
+
+    /**
+     * Removes the handlers of the process.
+     * @type {function|null}
+     * @private
+     */
+    this._uninstall = null;
 
     // Inform the debugging status.
-    if (!HIDE_ARGUMENTS) {
-      Logger.console.log(
-        "[LOG] Logging level set to " +
+    if (!HIDE_ARGUMENTS && !this.parent && !this.namespace) {
+      this._notice(
+        "log",
+        "Logging level set to " +
           this._level +
           " | is " +
           (this.isDebugging ? "" : "not") +
@@ -115,14 +440,42 @@ class Logger {
   }
 
   /**
-   * Globalizes the console for other use.
+   * Globalizes the console for other use. In the browser the logger replaces
+   * `window.console`. In node the `console` methods (and optionally
+   * `process.stdout` and `process.stderr`) are patched so the output of any
+   * dependency is logged by the logger.
+   * @param {Logger=} logger The logger receiving the output.
+   * @param {object=} options The options of the interception in node.
+   * @param {boolean=} options.streams If `process.stdout` and `process.stderr`
+   * should be patched as well.
+   * @param {object=} options.levels The level by console method or stream
+   * name (e.g. `{ log: "debug", stderr: "warn" }`).
    */
-  static globalize() {
-    if (!isBrowser) {
-      throw "Console globalization is not available.";
+  static globalize(logger = Logger.logger, options = {}) {
+    if (isBrowser) {
+      window._console = window._console || console;
+      window.console = logger;
+      return;
+    }
+    Logger.unglobalize();
+    _intercepted = intercept.intercept(console, logger, options);
+  }
+
+  /**
+   * Restores the console patched by `globalize()`.
+   */
+  static unglobalize() {
+    if (isBrowser) {
+      if (window._console) {
+        window.console = window._console;
+        delete window._console;
+      }
+      return;
+    }
+    if (_intercepted) {
+      _intercepted.restore();
+      _intercepted = null;
     }
-    window._console = console;
-    window.console = Logger.logger;
   }
 
   /**
@@ -133,7 +486,7 @@ class Logger {
     if (isBrowser) {
       return window._console || window.console;
     } else {
-      return console;
+      return _intercepted ? _intercepted.console : console;
     }
   }
 
@@ -148,14 +501,362 @@ class Logger {
     return this._inst;
   }
 
+  /**
+   * Runs a function with fields that are added to every entry logged inside
+   * its asynchronous call chain, without passing them around. Nested calls
+   * accumulate their fields.
+   * @param {object} fields The fields (e.g. requestId, userId).
+   * @param {function} fn The function to run.
+   * @returns {*} The result of the function.
+   */
+  static runWithContext(fields, fn) {
+    if (!_storage) {
+      return fn();
+    }
+    return _storage.run(Object.assign({}, Logger.context, fields), fn);
+  }
+
+  /**
+   * Obtains the fields of the current asynchronous context.
+   * @returns {object}
+   */
+  static get context() {
+    return (_storage && _storage.getStore()) || {};
+  }
+
+  /**
+   * Obtains the named logger of a namespace, creating it if needed. Named
+   * loggers use the transports of the default logger (including the ones
+   * added later, until they add or remove their own) and their level can
+   * be raised by namespace through `LOG_NAMESPACES` or `Logger.enable()`.
+   * @param {string} namespace The namespace (e.g. `db:pool`).
+   * @returns {Logger}
+   */
+  static get(namespace) {
+    if (!_named[namespace]) {
+      const named = Logger.logger.child();
+      named.namespace = namespace;
+      _named[namespace] = Logger._applyNamespace(named);
+    }
+    return _named[namespace];
+  }
+
+  /**
+   * Obtains the main logger and the named loggers by namespace (the main
+   * logger has an empty namespace).
+   * @returns {object}
+   */
+  static get loggers() {
+    return Object.assign({ "": Logger.logger }, _named);
+  }
+
+  /**
+   * Starts recording the entries of every logger for tests. The entries are
+   * not written to the transports until the capture is disposed, unless it
+   * passes them through. Only the entries that pass the level (and the rate
+   * limits and deduplication) of their logger are recorded, so lower the
+   * level to capture debug entries.
+   * @param {object=} options The options of the capture (passthrough).
+   * @returns {Capture}
+   */
+  static capture(options) {
+    const capture = new Capture(options, () => _captures.delete(capture));
+    _captures.add(capture);
+    return capture;
+  }
+
+  /**
+   * Toggles the debugging of every logger when the process receives a
+   * signal: the first signal sets them to `debug` and the next one restores
+   * their previous levels.
+   * @param {string=} signal The signal to listen to.
+   * @returns {function} A function that stops listening.
+   */
+  static toggleDebugOnSignal(signal = "SIGUSR2") {
+    return control.toggleOnSignal(Logger, signal);
+  }
+
+  /**
+   * Watches a config file (JSON or `KEY=value` lines) and applies its
+   * `LOG_LEVEL` and `LOG_NAMESPACES` whenever they change.
+   * @param {string} file The path of the file.
+   * @param {object=} options The options of the watcher (interval).
+   * @returns {{close: function}} The watcher.
+   */
+  static watchConfig(file, options) {
+    return control.watchConfig(Logger, file, options);
+  }
+
+  /**
+   * Starts a local HTTP endpoint (on a port or an IPC socket) to list the
+   * loggers (`GET /loggers`) and change their levels
+   * (`PUT /loggers/{name}?level=debug`).
+   * @param {object=} options The options of the endpoint (port, host, path).
+   * @param {function=} callback Called once listening.
+   * @returns {http.Server}
+   */
+  static listenControl(options, callback) {
+    return control.listen(Logger, options, callback);
+  }
+
+  /**
+   * Enables the namespaces matching DEBUG-style patterns such as
+   * `db:*,-db:pool,http:*=deepDebug`. Replaces any previous patterns.
+   * @param {string} patterns The patterns to enable.
+   */
+  static enable(patterns) {
+    _namespaceRules = namespaces.parse(patterns);
+    Object.keys(_named).forEach(key => Logger._applyNamespace(_named[key]));
+  }
+
+  /**
+   * Obtains the severity of a level.
+   * @param {string} name The name of the level.
+   * @returns {number} The severity or -1 if the level doesn't exist.
+   */
+  static severity(name) {
+    return severityOf(name);
+  }
+
+  /**
+   * Adds a custom level, generating its logging method and its throttle
+   * variant (e.g. `trace()` and `traceThrottle()`). Levels are global: the
+   * methods are added to `Logger`, so every logger class can use them.
+   *
+   * @param {string} name The name of the level and its method.
+   * @param {object=} options The options of the level.
+   * @param {number} options.severity The severity of the level. Built-in
+   * levels go from 0 (error) to 6 (deepDebug), so use decimals to place the
+   * level between two of them (e.g. 2.5) or negative numbers for levels more
+   * severe than errors.
+   * @param {string=} options.prefix The prefix of the entries (e.g. `TRC`).
+   * @param {string=} options.color The color of the entries.
+   * @param {string=} options.consoleMethod The console method to use.
+   * @param {boolean=} options.override If the level can replace a method
+   * that already exists (e.g. `fatal`).
+   * @returns {Logger}
+   */
+  static addLevel(
+    name,
+    {
+      severity,
+      prefix = String(name)
+        .substr(0, 3)
+        .toUpperCase(),
+      color = null,
+      consoleMethod = "log",
+      override = false
+    } = {}
+  ) {
+    if (typeof name !== "string" || !/^[a-z_$][\w$]*$/i.test(name)) {
+      throw new TypeError(`Invalid level name '${name}'.`);
+    }
+    if (_severities.hasOwnProperty(name)) {
+      throw new TypeError(`The level '${name}' already exists.`);
+    }
+    if (typeof severity !== "number" || isNaN(severity)) {
+      throw new TypeError(`The level '${name}' requires a numeric severity.`);
+    }
+    const taken = LOG_LEVELS.find(level => _severities[level] === severity);
+    if (taken) {
+      throw new TypeError(`The severity ${severity} is used by '${taken}'.`);
+    }
+    if (
+      !override &&
+      (name in Logger.prototype || `${name}Throttle` in Logger.prototype)
+    ) {
+      throw new TypeError(`The method '${name}' already exists.`);
+    }
+
+    _severities[name] = severity;
+    LOG_LEVELS.push(name);
+    LOG_LEVELS.sort((a, b) => _severities[a] - _severities[b]);
+
+    Logger.prototype[name] = function() {
+      if (this._enabled(severity)) {
+        this.doLog.call(
+          this,
+          prefix,
+          consoleMethod,
+          color,
+          arguments,
+          severity
+        );
+      }
+      return this;
+    };
+
+    Logger.prototype[`${name}Throttle`] = function(msg, timeout) {
+      this.throttle(msg, timeout, name);
+      return this;
+    };
+
+    return this;
+  }
+
+  /**
+   * Checks if a named logger follows the level of the default logger: its
+   * namespace is not enabled by a pattern and its level was never set
+   * directly.
+   * @param {Logger} logger The logger.
+   * @returns {boolean}
+   */
+  static isFollowing(logger) {
+    return (
+      _named[logger.namespace] === logger &&
+      !_pinned.has(logger) &&
+      severityOf(namespaces.match(_namespaceRules, logger.namespace)) < 0
+    );
+  }
+
+  /**
+   * Sets the level of a named logger according to the enabled patterns.
+   * Loggers not enabled follow the level of the default logger, unless their
+   * level was set directly.
+   * @param {Logger} named The named logger.
+   * @returns {Logger}
+   * @private
+   */
+  static _applyNamespace(named) {
+    const level = namespaces.match(_namespaceRules, named.namespace);
+    const severity = severityOf(level);
+    if (severity > -1) {
+      named._level = severity;
+    } else if (!_pinned.has(named)) {
+      named._level = Logger.logger.level;
+    }
+    return named;
+  }
+
+  /**
+   * The base class of the transports.
+   * @returns {Transport}
+   */
+  static get Transport() {
+    return Transport;
+  }
+
+  /**
+   * The transport that writes into the console.
+   * @returns {ConsoleTransport}
+   */
+  static get ConsoleTransport() {
+    return ConsoleTransport;
+  }
+
+  /**
+   * The transport that keeps the entries in memory.
+   * @returns {MemoryTransport}
+   */
+  static get MemoryTransport() {
+    return MemoryTransport;
+  }
+
+  /**
+   * The transport that writes into a rotating file.
+   * @returns {FileTransport}
+   */
+  static get FileTransport() {
+    return FileTransport;
+  }
+
+  /**
+   * The transport that sends the entries to a syslog server.
+   * @returns {SyslogTransport}
+   */
+  static get SyslogTransport() {
+    return SyslogTransport;
+  }
+
+  /**
+   * The transport that ships the entries in batches to an HTTP endpoint.
+   * @returns {HttpTransport}
+   */
+  static get HttpTransport() {
+    return HttpTransport;
+  }
+
+  /**
+   * The redactor of sensitive values.
+   * @returns {Redactor}
+   */
+  static get Redactor() {
+    return Redactor;
+  }
+
+  /**
+   * The serializer of the data and objects logged.
+   * @returns {Serializer}
+   */
+  static get Serializer() {
+    return Serializer;
+  }
+
+  /**
+   * The handle of the timers.
+   * @returns {Timer}
+   */
+  static get Timer() {
+    return Timer;
+  }
+
+  /**
+   * The text layout of the entries.
+   * @returns {Template}
+   */
+  static get Template() {
+    return Template;
+  }
+
+  /**
+   * The sampling and rate limits of the entries.
+   * @returns {RateLimiter}
+   */
+  static get RateLimiter() {
+    return RateLimiter;
+  }
+
+  /**
+   * The deduplication of consecutive identical entries.
+   * @returns {Deduplicator}
+   */
+  static get Deduplicator() {
+    return Deduplicator;
+  }
+
+  /**
+   * The ring buffer of the last entries.
+   * @returns {History}
+   */
+  static get History() {
+    return History;
+  }
+
+  /**
+   * The recording of the entries for tests.
+   * @returns {Capture}
+   */
+  static get Capture() {
+    return Capture;
+  }
+
+  /**
+   * The factory of the HTTP request logging functions.
+   * @returns {function}
+   */
+  static get requestLogger() {
+    return requestLogger;
+  }
+
   /**
    * Obtains a new instance of the logger.
    * @param {string|number=} level The initial level of the logger.
    * @param {boolean=} silent If the logger should start silent.
+   * @param {object=} options Additional options of the logger.
    * @returns {Logger}
    */
-  static getLogger(level, silent) {
-    return new Logger(level, silent);
+  static getLogger(level, silent, options) {
+    return new Logger(level, silent, options);
   }
 
   /**
@@ -164,19 +865,22 @@ class Logger {
    */
   set level(level) {
     if (!HIDE_ARGUMENTS) {
-      Logger.console.log(
-        ...this.color(
-          "magentaBright",
-          `[LOG] Requested logging level to change to '${level}'`,
-          true
-        )
+      this._notice(
+        "log",
+        `Requested logging level to change to '${level}'`,
+        "magentaBright"
       );
     }
     if (isNaN(level)) {
-      const index = LOG_LEVELS.indexOf(level);
-      this._level = index > -1 ? index : 0;
+      // Unknown levels fall back to errors only.
+      this._level = _severities.hasOwnProperty(level) ? _severities[level] : 0;
     } else {
-      this._level = parseInt(level);
+      this._level = parseFloat(level);
+    }
+    if (_named[this.namespace] === this) {
+      _pinned.add(this);
+    } else if (this === Logger._inst) {
+      Object.keys(_named).forEach(key => Logger._applyNamespace(_named[key]));
     }
   }
 
@@ -197,11 +901,264 @@ class Logger {
   }
 
   /**
-   * Setter of the value to use the native console log.
-   * @param value
+   * Setter of the value to use the native console log.
+   * @param value
+   */
+  set consoleLog(value) {
+    this._consoleLog = Boolean(value);
+  }
+
+  /**
+   * Registers a custom serializer for a type of data. Serializers are shared
+   * with the child loggers.
+   * @param {function|string} type The class (checked with instanceof) or the
+   * name of the type (e.g. `map`, `date`).
+   * @param {function} serializer A function that receives the value and
+   * returns its serializable representation.
+   * @returns {Logger}
+   */
+  addSerializer(type, serializer) {
+    this._serializer.add(type, serializer);
+    return this;
+  }
+
+  /**
+   * Sets the sensitive values to mask.
+   * @param {object|Redactor|null} options The options of the redactor (paths,
+   * patterns and mask) or null to stop redacting.
+   */
+  set redact(options) {
+    this._redactor =
+      options instanceof Redactor
+        ? options
+        : options
+        ? new Redactor(options)
+        : null;
+  }
+
+  /**
+   * Setter of the structured (JSON) output.
+   * @param {boolean} value If the entries should be written as JSON.
+   */
+  set json(value) {
+    this._json = Boolean(value);
+  }
+
+  /**
+   * Getter of the structured (JSON) output.
+   * @returns {boolean}
+   */
+  get json() {
+    return this._json;
+  }
+
+  /**
+   * Sets the transports (sinks) of the logger, so it no longer uses the ones
+   * of its parent.
+   * @param {Transport[]} transports The transports.
+   */
+  set transports(transports) {
+    this._transports = transports.slice();
+  }
+
+  /**
+   * Gets the transports that receive the log entries: its own or, until it
+   * sets them, the ones of its parent.
+   * @returns {Transport[]}
+   */
+  get transports() {
+    return this._transports || this.parent.transports;
+  }
+
+  /**
+   * Setter of the text layout of the entries.
+   * @param {string|Template|null} value The template, or null to use the
+   * default layout.
+   */
+  set template(value) {
+    this._template = !value
+      ? null
+      : value instanceof Template
+      ? value
+      : new Template(value);
+  }
+
+  /**
+   * Applies an option, or the setting of the environment when the option is
+   * not given. Invalid settings of the environment are reported and ignored,
+   * so a typo never keeps the process from starting.
+   * @param {string} key The option (e.g. `timestamp`).
+   * @param {*} value The value of the option.
+   * @param {string} name The name of the setting of the environment.
+   * @param {string} setting The value of the setting of the environment.
+   * @private
+   */
+  _configure(key, value, name, setting) {
+    if (value !== undefined) {
+      this[key] = value;
+      return;
+    }
+    try {
+      this[key] = setting;
+    } catch (e) {
+      this._notice("warn", `Ignoring ${name}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Setter of the timestamp of every entry.
+   * @param {boolean|string} value If every entry should start with a
+   * timestamp, or its format (`iso`, `local`, `time`, `epoch`, `elapsed` or
+   * `delta`).
+   */
+  set timestamp(value) {
+    this._timestamp = timestampFormat(value);
+  }
+
+  /**
+   * Setter of the time zone of the timestamps.
+   * @param {string} value The IANA time zone (e.g. `UTC`,
+   * `America/New_York`), or empty for the local time zone.
+   */
+  set timeZone(value) {
+    this._timeZone = timestamps.validateTimeZone(value || "");
+  }
+
+  /**
+   * Setter of the sampling and rate limits of the entries.
+   * @param {object|RateLimiter|null} value The limiter or its options (e.g.
+   * `{ sample: { debug: 0.1 }, rate: 100, key: "message" }`).
+   */
+  set rateLimit(value) {
+    if (this._limiter && this._limiter !== value) {
+      this._release(this._limiter);
+    }
+    this._limiter =
+      value instanceof RateLimiter
+        ? value
+        : value
+        ? this._own(
+            new RateLimiter(value, (count, seconds, entry) =>
+              this._reportSuppressed(count, seconds, entry)
+            )
+          )
+        : null;
+  }
+
+  /**
+   * Setter of the deduplication of consecutive identical entries.
+   * @param {boolean|object|Deduplicator|null} value If the entries should be
+   * deduplicated, or the options of the deduplication (e.g.
+   * `{ window: 10000 }`).
+   */
+  set dedup(value) {
+    if (this._dedup && this._dedup !== value) {
+      this._release(this._dedup);
+    }
+    this._dedup =
+      value instanceof Deduplicator
+        ? value
+        : value
+        ? this._own(
+            new Deduplicator(value === true ? {} : value, (entry, count) =>
+              this._reportRepeated(entry, count)
+            )
+          )
+        : null;
+  }
+
+  /**
+   * Setter of the history of the last entries.
+   * @param {number|object|History|null} value The amount of entries to keep,
+   * or the options of the history (e.g. `{ size: 200, dumpOnError: false }`).
+   */
+  set history(value) {
+    this._history =
+      value instanceof History
+        ? value
+        : value
+        ? new History(typeof value === "number" ? { size: value } : value)
+        : null;
+  }
+
+  /**
+   * Writes the entries kept in the history that were filtered out by the
+   * level and clears it.
+   * @param {boolean=} all If the entries already written should be included.
+   * @returns {Logger}
+   */
+  dumpHistory(all = false) {
+    if (this._history) {
+      const entries = this._history.entries(all);
+      this._history.clear();
+      entries.forEach(entry =>
+        this._dispatch(Object.assign({}, entry, { type: "HISTORY" }))
+      );
+    }
+    return this;
+  }
+
+  /**
+   * Creates a child logger that inherits the settings of this logger, uses
+   * its transports (until it adds or removes its own) and binds the fields to
+   * every entry it logs.
+   * @param {object} fields The fields to bind (e.g. service, requestId).
+   * @returns {Logger}
+   */
+  child(fields = {}) {
+    const child = new this.constructor(this._level, this.silent, {
+      json: this._json,
+      context: Object.assign({}, this.context, fields),
+      parent: this,
+      namespace: this.namespace,
+      buffer: this._buffer,
+      redact: this._redactor,
+      serializer: this._serializer,
+      template: this._template,
+      timestamp: this._timestamp,
+      timeZone: this._timeZone,
+      rateLimit: this._limiter,
+      dedup: this._dedup,
+      history: this._history
+    });
+    child._level = this._level;
+    child._boring = this._boring;
+    child._consoleLog = this._consoleLog;
+    return child;
+  }
+
+  /**
+   * Registers a new transport.
+   * @param {Transport} transport The transport to write the entries to.
+   * @returns {Logger}
+   */
+  addTransport(transport) {
+    if (!(transport instanceof Transport)) {
+      throw new TypeError("The transport must be an instance of Transport.");
+    }
+    this.transports = this.transports.concat(transport);
+    return this;
+  }
+
+  /**
+   * Unregisters a transport.
+   * @param {Transport|string} transport The transport or its name.
+   * @returns {Logger}
+   */
+  removeTransport(transport) {
+    this.transports = this.transports.filter(
+      item => item !== transport && item.name !== transport
+    );
+    return this;
+  }
+
+  /**
+   * Obtains a registered transport by its name.
+   * @param {string} name The name of the transport.
+   * @returns {Transport|undefined}
    */
-  set consoleLog(value) {
-    this._consoleLog = Boolean(value);
+  getTransport(name) {
+    return this.transports.find(item => item.name === name);
   }
 
   /**
@@ -209,10 +1166,11 @@ class Logger {
    * @param {string} color The color of the message.
    * @param {string} msg The string to color.
    * @param {boolean} bold If the message should be bold.
+   * @param {boolean} boring If the message should not be colored.
    * @returns {string[]}
    */
-  color(color, msg, bold = false) {
-    if (this._boring) {
+  color(color, msg, bold = false, boring = this._boring) {
+    if (boring) {
       return [msg];
     }
     if (!color) {
@@ -236,14 +1194,15 @@ class Logger {
   }
 
   /**
-   * Concatenates the type of log into a single string for the console.
+   * Builds a log entry out of the arguments and sends it to the transports.
    *
    * @param {string} logType The log type.
    * @param {string} methodName The console method to use.
    * @param {string} debugColor Color to use for the console.
    * @param {Arguments} args The arguments to check as configuration.
+   * @param {number} level The level of the entry.
    */
-  doLog(logType, methodName, debugColor, args) {
+  doLog(logType, methodName, debugColor, args, level = LOG_LEVEL) {
     if (this._consoleLog) {
       methodName = "log";
     }
@@ -270,6 +1229,12 @@ class Logger {
         muted: false,
         stack: null,
         error: null,
+        duration: null,
+        fields: null,
+        limit: true,
+        dedup: true,
+        history: true,
+        filter: true,
         basics: undefined
       },
       args,
@@ -291,102 +1256,488 @@ class Logger {
       ["basics:object", "title:string", "message:string|function", "data:*"],
       ["this:object"]
     );
-    let i;
-    let border;
 
     config.message = config.message || config.msg;
 
+    const redactor = this._redactor;
+    if (redactor) {
+      config.title = redactor.redactString(config.title);
+      config.message = redactor.redact(config.message);
+      config.data = redactor.redact(config.data);
+      config.error = config.error && redactor.redactError(config.error);
+      config.fields = redactor.redact(config.fields);
+    }
+
+    let text = config.message;
+    let error = config.error;
+    const context = Object.assign({}, Logger.context, this.context);
+    const time = Date.now();
+    const previousTime = _lastTime;
+    let stamp =
+      config.ts || config.timestamp
+        ? this._timestamp || "epoch"
+        : this._timestamp;
+    if (typeof config.timestamp === "string") {
+      try {
+        stamp = timestampFormat(config.timestamp);
+      } catch (e) {
+        // Unknown formats keep the default one: logging never throws.
+      }
+    }
+    const callSite =
+      config.suffix === true || this._usesToken("callsite")
+        ? this._getLastLine()
+        : "";
+
     if (!isBrowser) {
       const tto = trueTypeOf(config.message);
 
       if (tto === "error") {
-        config.stack = config.message.stack;
+        error = error || config.message;
         config.message = config.message.message;
       } else if (tto === "function") {
         config.message = config.message();
+        if (redactor) {
+          config.message = redactor.redact(config.message);
+        }
       }
       if (tto === "object") {
-        config.message = JSON.stringify(config.message);
+        config.message = this._serializer.stringify(config.message);
       }
 
+      text = config.message;
+
       if (config.error) {
-        if (config.message) {
-          config.message = `${config.message} [${config.error.message}]`;
+        if (text) {
+          text = `${text} [${config.error.message}]`;
         } else {
-          config.message = config.error.message;
-        }
-        if (config.error.stack) {
-          config.message = config.error.stack;
+          text = config.error.message;
         }
       }
 
+      if (error) {
+        config.stack = this._serializer.renderError(error);
+      }
+
       if (config.data) {
-        config.message += " " + JSON.stringify(config.data);
+        text += " " + this._serializer.stringify(config.data);
       }
 
-      if (config.message === "") {
+      if (text === "") {
         return;
       }
+    }
 
-      if (config.type !== "") {
-        config.type = `[${config.type}] `;
+    const entry = {
+      logger: this,
+      level,
+      levelName: LOG_LEVELS.find(name => _severities[name] === level),
+      logType,
+      methodName,
+      time,
+      previousTime,
+      timeZone: this._timeZone,
+      timestamp: stamp
+        ? timestamps.format(time, stamp, {
+            timeZone: this._timeZone,
+            previous: previousTime
+          })
+        : "",
+      title: config.title,
+      message: config.message,
+      data: config.data,
+      error,
+      stack: config.stack,
+      duration: config.duration,
+      fields: config.fields,
+      type: config.type,
+      groupTitle: this.groupPath,
+      groupTS: this._groups.length
+        ? this._groups[this._groups.length - 1].ts
+        : 0,
+      groupDepth: this._groups.length,
+      loggerPrefix:
+        config.basics &&
+        config.basics.request &&
+        config.basics.request.loggerPrefix
+          ? redactor
+            ? redactor.redactString(config.basics.request.loggerPrefix)
+            : config.basics.request.loggerPrefix
+          : "",
+      suffix:
+        typeof config.suffix === "string"
+          ? config.suffix
+          : config.suffix
+          ? callSite
+          : "",
+      callSite,
+      context: redactor ? redactor.redact(context) : context,
+      namespace: this.namespace,
+      text,
+      config
+    };
+    if (level > this._level && config.filter) {
+      if (this._history) {
+        this._history.push(entry);
+      }
+      return;
+    }
+    if (this._dedup && config.dedup && !this._dedup.check(entry)) {
+      return;
+    }
+    if (this._limiter && config.limit && !this._limiter.allow(entry)) {
+      return;
+    }
+    if (this._history) {
+      if (level <= ERROR_LEVEL && config.history && this._history.dumpOnError) {
+        this.dumpHistory();
       }
+      this._history.push(entry, true);
+    }
+    _lastTime = time;
+    this._dispatch(entry);
+  }
 
-      if (config.title) {
-        config.message = `[${config.title}] ${config.message}`;
-      } else if (this._groupTitle) {
-        config.message = `[${this._groupTitle}] ${config.message}`;
+  /**
+   * Logs the amount of entries suppressed by the rate limits.
+   * @param {number} count The amount of entries suppressed.
+   * @param {number} seconds The seconds of the period.
+   * @param {object|null} entry The entry suppressed when limiting by message.
+   * @private
+   */
+  _reportSuppressed(count, seconds, entry) {
+    if (this.silent) {
+      return;
+    }
+    this.doLog(
+      "WRN",
+      "warn",
+      "yellow",
+      [
+        {
+          message:
+            `Suppressed ${count.toLocaleString("en-US")} ` +
+            `${entry ? "similar " : ""}messages in the last ${seconds}s` +
+            (entry ? `: ${entry.text}` : ""),
+          fields: { suppressed: count },
+          limit: false,
+          filter: false
+        }
+      ],
+      WARN_LEVEL
+    );
+  }
+
+  /**
+   * Logs the amount of times the last entry was repeated.
+   * @param {object} entry The repeated entry.
+   * @param {number} count The amount of repetitions.
+   * @private
+   */
+  _reportRepeated(entry, count) {
+    if (entry.logger.silent) {
+      return;
+    }
+    entry.logger.doLog(
+      entry.logType,
+      entry.methodName,
+      entry.config.color,
+      [
+        {
+          title: entry.title,
+          message: `Last message repeated ${count} time${
+            count === 1 ? "" : "s"
+          }`,
+          fields: { repeated: count },
+          dedup: false,
+          limit: false,
+          history: false,
+          filter: false
+        }
+      ],
+      entry.level
+    );
+  }
+
+  /**
+   * Checks if the template of the logger or of any of its transports uses a
+   * token.
+   * @param {string} name The name of the token.
+   * @returns {boolean}
+   * @private
+   */
+  _usesToken(name) {
+    return [this].concat(this.transports).some(item => {
+      const template = item === this ? this._template : item.template;
+      return Boolean(template && template.uses(name));
+    });
+  }
+
+  /**
+   * Sends an entry to every transport that accepts it.
+   * @param {object} entry The log entry.
+   * @private
+   */
+  _dispatch(entry) {
+    if (_captures.size) {
+      _captures.forEach(capture => capture.record(entry));
+      if (isMuted()) {
+        return;
+      }
+    }
+    if (this._buffer) {
+      this._buffer.push(entry);
+      return;
+    }
+    this.transports.forEach(transport => {
+      try {
+        if (transport.accepts(entry)) {
+          transport.write(entry);
+        }
+      } catch (e) {
+        Logger._transportFailed(this, transport, e);
       }
+    });
+  }
 
-      if (
-        config.basics &&
-        config.basics.request &&
-        config.basics.request.loggerPrefix
-      ) {
-        config.message = `[${config.basics.request.loggerPrefix}] ${
-          config.message
-        }`;
+  /**
+   * Writes a batch of buffered entries, grouping them by transport.
+   * @param {object[]} entries The log entries.
+   * @returns {Promise} Resolves when every transport is done writing.
+   * @private
+   */
+  static _writeBatch(entries) {
+    const batches = new Map();
+    entries.forEach(entry =>
+      entry.logger.transports.forEach(transport => {
+        try {
+          if (transport.accepts(entry)) {
+            batches.set(
+              transport,
+              (batches.get(transport) || []).concat(entry)
+            );
+          }
+        } catch (e) {
+          Logger._transportFailed(entry.logger, transport, e);
+        }
+      })
+    );
+    return Promise.all(
+      Array.from(batches).map(([transport, batch]) => {
+        const logger = batch[0].logger;
+        try {
+          return Promise.resolve(transport.writeBatch(batch)).catch(e =>
+            Logger._transportFailed(logger, transport, e)
+          );
+        } catch (e) {
+          Logger._transportFailed(logger, transport, e);
+        }
+      })
+    );
+  }
+
+  /**
+   * Reports a transport that failed to write.
+   * @param {Logger} logger The logger writing to the transport.
+   * @param {Transport} transport The transport.
+   * @param {Error} e The error.
+   * @private
+   */
+  static _transportFailed(logger, transport, e) {
+    logger._notice(
+      "error",
+      `Transport '${transport.name}' failed: ${e.message}`
+    );
+  }
+
+  /**
+   * Writes a message about the logger itself to the console, as a JSON
+   * object when the output is JSON so every line stays parseable.
+   * @param {string} levelName The level of the message (`log` or `error`).
+   * @param {string} message The message.
+   * @param {string=} color The color of the message in the text output.
+   * @private
+   */
+  _notice(levelName, message, color) {
+    if (this._json) {
+      Logger.console[levelName](
+        this.formatJson({
+          level: severityOf(levelName),
+          levelName,
+          namespace: this.namespace,
+          time: Date.now(),
+          message
+        })
+      );
+    } else if (color) {
+      Logger.console[levelName](...this.color(color, `[LOG] ${message}`, true));
+    } else {
+      Logger.console[levelName](`[LOG] ${message}`);
+    }
+  }
+
+  /**
+   * Reports any repeated entries, writes any buffered entries and waits for the transports to finish.
+   * @returns {Promise}
+   */
+  flush() {
+    if (this._dedup) {
+      this._dedup.flush();
+    }
+    return Promise.all([
+      this._buffer ? this._buffer.flush() : null,
+      ...this.transports.map(transport => transport.flush())
+    ]).then(() => undefined);
+  }
+
+  /**
+   * Writes any pending entries and releases the resources created by this
+   * logger, such as its buffer and its process hooks. Children share those
+   * resources without owning them, so closing a child only flushes it.
+   * @returns {Promise}
+   */
+  close() {
+    return this.flush().then(() => {
+      if (this._owned.has(this._buffer)) {
+        this._buffer = null;
+      }
+      this._owned.forEach(resource => resource.close());
+      this._owned.clear();
+    });
+  }
+
+  /**
+   * Closes a resource if it was created by this logger. Resources inherited
+   * from the parent are left to their owner.
+   * @param {object} resource The resource.
+   * @private
+   */
+  _release(resource) {
+    if (this._owned.delete(resource)) {
+      resource.close();
+    }
+  }
+
+  /**
+   * Marks a resource as created by this logger.
+   * @param {object} resource The resource (it must have a `close` method).
+   * @returns {object} The resource.
+   * @private
+   */
+  _own(resource) {
+    this._owned.add(resource);
+    return resource;
+  }
+
+  /**
+   * Formats an entry into the lines written to the console. Each line is an
+   * array of arguments for the console method.
+   *
+   * @param {object} entry The log entry.
+   * @param {boolean=} boring If the lines should not be colored.
+   * @param {boolean=} json If the entry should be a single JSON line.
+   * @param {Template=} template The text layout of the entry.
+   * @returns {Array[]}
+   */
+  format(
+    entry,
+    boring = this._boring,
+    json = this._json,
+    template = this._template
+  ) {
+    if (json) {
+      return [[this.formatJson(entry)]];
+    }
+    const config = entry.config;
+    const color = (name, msg) => this.color(name, msg, false, boring);
+
+    if (template && !isBrowser) {
+      const line = template.render(entry, this._serializer);
+      const lines = [
+        config.muted ? color("blackBright", line) : color(config.color, line)
+      ];
+      if (entry.stack && !template.uses("error")) {
+        lines.push(color(config.color, entry.stack));
+      }
+      return lines;
+    }
+    const lines = [];
+    let message = entry.text;
+    let border;
+    let i;
+
+    if (!isBrowser) {
+      const type = entry.type !== "" ? `[${entry.type}] ` : "";
+      // The timestamps requested per entry keep their legacy position after
+      // the message; the ones of the logger start the line.
+      const stampSuffix = Boolean(config.ts || config.timestamp);
+
+      if (entry.title) {
+        message = `[${entry.title}] ${message}`;
+      } else if (entry.groupTitle) {
+        message = `[${entry.groupTitle}] ${message}`;
+      }
+
+      if (entry.loggerPrefix) {
+        message = `[${entry.loggerPrefix}] ${message}`;
+      }
+
+      const context = Object.keys(entry.context)
+        .map(key => {
+          const value = entry.context[key];
+          return `${key}=${
+            typeof value === "string"
+              ? value
+              : this._serializer.stringify(value)
+          }`;
+        })
+        .join(" ");
+      if (context) {
+        message = `[${context}] ${message}`;
       }
 
       if (config.prefix) {
-        config.message = `[${logType}] ${config.type}${config.message}`;
+        const namespace = entry.namespace ? `[${entry.namespace}] ` : "";
+        message = `[${entry.logType}] ${namespace}${type}${message}`;
       }
 
-      if (typeof config.suffix === "string") {
-        config.message += this.color("blackBright", ` (${config.suffix})`)[0];
-      } else if (config.suffix) {
-        config.message += this.color(
-          "blackBright",
-          ` (${this._getLastLine()})`
-        )[0];
+      if (entry.duration !== null && entry.duration !== undefined) {
+        message += color("blackBright", ` ⏱ ${entry.duration}ms`)[0];
       }
 
-      if (config.ts || config.timestamp) {
-        config.message += this.color("blackBright", ` > ${Date.now()}`)[0];
+      if (entry.suffix) {
+        message += color("blackBright", ` (${entry.suffix})`)[0];
+      }
 
-        if (this._groupTS) {
-          config.message += this.color(
+      if (entry.timestamp) {
+        if (stampSuffix) {
+          message += color("blackBright", ` > ${entry.timestamp}`)[0];
+        }
+        if (entry.groupTS) {
+          message += color(
             "blackBright",
-            ` ⏱ ${Date.now() - this._groupTS}ms`
+            ` ⏱ ${entry.time - entry.groupTS}ms`
           )[0];
         }
       }
 
       if (config.muted) {
-        config.message = this.color("blackBright", config.message)[0];
+        message = color("blackBright", message)[0];
       } else if (config.color) {
-        config.message = this.color(config.color, config.message)[0];
+        message = color(config.color, message)[0];
       }
-    }
 
-    if (config.marginTop) {
-      for (i = 0; i < config.marginTop; i++) {
-        Logger.console[methodName]("");
+      if (entry.timestamp && !stampSuffix) {
+        message = `${color("blackBright", entry.timestamp)[0]} ${message}`;
       }
     }
 
+    for (i = 0; i < config.marginTop; i++) {
+      lines.push([""]);
+    }
+
     if (config.borderTop || config.borderBottom) {
-      border = this.color(
+      border = color(
         config.color,
         "".padStart(
           Math.max(config.borderTop, config.borderBottom),
@@ -396,13 +1747,11 @@ class Logger {
     }
 
     if (config.borderTop) {
-      Logger.console[methodName](...border);
+      lines.push(border);
     }
 
-    if (config.paddingTop) {
-      for (i = 0; i < config.paddingTop; i++) {
-        Logger.console[methodName]("");
-      }
+    for (i = 0; i < config.paddingTop; i++) {
+      lines.push([""]);
     }
 
     const indentation = !config.indent
@@ -411,7 +1760,7 @@ class Logger {
       ? new Array(config.indent).join(" ")
       : config.indent;
     if (isBrowser) {
-      let msg = indentation + `[${logType}]`;
+      let msg = indentation + `[${entry.logType}]`;
       if (config.title) {
         msg += " " + config.title;
       }
@@ -421,33 +1770,74 @@ class Logger {
         msg += " " + config.message;
       }
 
-      if (config.timestamp || config.ts) {
-        msg += " " + Date.now().toString();
+      if (entry.timestamp) {
+        msg += " " + entry.timestamp;
       }
-      Logger.console[methodName](...this.color(config.color, msg), config.data);
+      lines.push([...color(config.color, msg), config.data]);
     } else {
-      Logger.console[methodName](indentation + config.message);
+      lines.push([indentation + message]);
     }
 
-    if (config.stack) {
-      Logger.console[methodName](...this.color(config.color, config.stack));
+    if (entry.stack) {
+      lines.push(color(config.color, entry.stack));
     }
 
-    if (config.paddingBottom) {
-      for (i = 0; i < config.paddingBottom; i++) {
-        Logger.console[methodName]("");
-      }
+    for (i = 0; i < config.paddingBottom; i++) {
+      lines.push([""]);
     }
 
     if (config.borderBottom) {
-      Logger.console[methodName](...border);
+      lines.push(border);
     }
 
-    if (config.marginBottom) {
-      for (i = 0; i < config.marginBottom; i++) {
-        Logger.console[methodName]("");
-      }
+    for (i = 0; i < config.marginBottom; i++) {
+      lines.push([""]);
     }
+
+    return lines;
+  }
+
+  /**
+   * Formats an entry into a single line JSON object for log aggregators.
+   * @param {object} entry The log entry.
+   * @returns {string}
+   */
+  formatJson(entry) {
+    const serializer = this._serializer;
+    const fields = Object.assign(
+      {},
+      serializer.serialize(entry.context),
+      serializer.serialize(entry.fields),
+      {
+        level: entry.level,
+        levelName: entry.levelName,
+        namespace: entry.namespace,
+        time: new Date(entry.time).toISOString(),
+        title: entry.title,
+        message: entry.message,
+        data: serializer.serialize(entry.data),
+        error: entry.error
+          ? serializer.serializeError(entry.error)
+          : entry.stack
+          ? { stack: entry.stack }
+          : null,
+        duration: entry.duration,
+        type: entry.type,
+        group: entry.groupTitle,
+        loggerPrefix: entry.loggerPrefix,
+        callSite: entry.suffix
+      }
+    );
+    Object.keys(fields).forEach(key => {
+      if (
+        fields[key] === "" ||
+        fields[key] === null ||
+        fields[key] === undefined
+      ) {
+        delete fields[key];
+      }
+    });
+    return JSON.stringify(fields);
   }
 
   /**
@@ -464,9 +1854,13 @@ class Logger {
      * }}
      */
     try {
-      const call = callsite().find(
-        l => !/(index|Logger)\.js$/.test(l.getFileName())
-      );
+      // The internals of node (e.g. `node:events`) are not call sites either.
+      const call = callsite().find(l => {
+        const fileName = l.getFileName();
+        return (
+          (fileName && path.isAbsolute(fileName) && !_ownFiles.has(fileName))
+        );
+      });
       const fileName = path.basename(call.getFileName());
       const colNo = call.getColumnNumber();
       const lineNo = call.getLineNumber();
@@ -477,10 +1871,20 @@ class Logger {
   }
 
   /**
-   * Shortcut to the globalization method.
+   * Shortcut to the globalization method, routing the console through this
+   * logger.
+   * @param {object=} options The options of the interception in node.
+   * @see Logger.globalize
+   */
+  globalize(options) {
+    Logger.globalize(this, options);
+  }
+
+  /**
+   * Shortcut to restore the console.
    */
-  globalize() {
-    Logger.globalize();
+  unglobalize() {
+    Logger.unglobalize();
   }
 
   /**
@@ -509,36 +1913,273 @@ class Logger {
   }
 
   /**
-   * Starts a group.
+   * Checks if the current logging is groupped.
+   * @returns {boolean}
+   */
+  get isGroupped() {
+    return this._groups.length > 0;
+  }
+
+  /**
+   * Obtains the titles of the open groups (e.g. `Import > Users > Batch 3`).
+   * @returns {string}
+   */
+  get groupPath() {
+    return this._groups
+      .map(group => group.title)
+      .filter(Boolean)
+      .join(" > ");
+  }
+
+  /**
+   * Starts a group. Groups can be nested.
    * @param args
    * @returns {Logger}
    */
   groupStart(...args) {
-    if (this.isGroupped) {
-      this.groupEnd();
-    }
-    this._groupTS = Date.now();
-    Logger.console.group(...args);
-    // Save the second argument as the title of the group.
-    if (args.length && typeof args[0] === "string") {
-      this._groupTitle =
-        args[0].length > 25 ? `${args[0].substr(0, 22)}...` : args[0];
-    } else {
-      this._groupTitle = "";
+    if (this._buffer) {
+      this._buffer.flush(true);
     }
-    this.isGroupped = true;
+    // The transports only open the group when not captured, and close it
+    // only if they opened it, so a capture never unbalances them.
+    const opened = !isMuted();
+    this.transports.forEach(
+      transport => transport.group && opened && transport.group(this, args)
+    );
+    // Save the first argument as the title of the group.
+    const title =
+      args.length && typeof args[0] === "string"
+        ? args[0].length > 25
+          ? `${args[0].substr(0, 22)}...`
+          : args[0]
+        : "";
+    this._groups.push({
+      title,
+      ts: Date.now(),
+      timer: new Timer(this, title),
+      opened
+    });
     return this;
   }
 
   /**
-   * Ends a group.
+   * Ends the innermost group and reports (as debug) its elapsed time.
    * @returns {Logger}
    */
   groupEnd() {
-    Logger.console.groupEnd();
-    this._groupTitle = "";
-    this._groupTS = 0;
-    this.isGroupped = false;
+    return this._endGroup(this._groups[this._groups.length - 1]);
+  }
+
+  /**
+   * Ends a group and reports (as debug) its elapsed time. The group is
+   * found by identity so concurrent groups do not close each other.
+   * @param {object=} group The group to end.
+   * @returns {Logger}
+   * @private
+   */
+  _endGroup(group) {
+    const index = this._groups.indexOf(group);
+    if (index === -1) {
+      return this;
+    }
+    group.timer.done("Group finished", "debug");
+    if (this._buffer) {
+      this._buffer.flush(true);
+    }
+    this.transports.forEach(
+      transport =>
+        transport.groupEnd && group.opened && transport.groupEnd(this)
+    );
+    this._groups.splice(index, 1);
+    return this;
+  }
+
+  /**
+   * Runs a function inside a group, closing the group when the function
+   * finishes, throws or (if it returns a promise) settles.
+   * @param {string} title The title of the group.
+   * @param {function} fn The function to run.
+   * @returns {*} The result of the function.
+   */
+  withGroup(title, fn) {
+    this.groupStart(title);
+    const group = this._groups[this._groups.length - 1];
+    let result;
+    try {
+      result = fn();
+    } catch (e) {
+      this._endGroup(group);
+      throw e;
+    }
+    if (result && typeof result.then === "function") {
+      return result.then(
+        value => {
+          this._endGroup(group);
+          return value;
+        },
+        e => {
+          this._endGroup(group);
+          throw e;
+        }
+      );
+    }
+    this._endGroup(group);
+    return result;
+  }
+
+  /**
+   * Starts a timer with a label.
+   * @param {string=} label The label of the timer.
+   * @returns {Logger}
+   */
+  time(label = "default") {
+    if (this._timers[label]) {
+      this.warn(`Timer '${label}' already exists`);
+    } else {
+      this._timers[label] = new Timer(this, label);
+    }
+    return this;
+  }
+
+  /**
+   * Logs the time elapsed of a timer without stopping it.
+   * @param {string=} label The label of the timer.
+   * @param {*} data Any data to log along.
+   * @returns {Logger}
+   */
+  timeLog(label = "default", ...data) {
+    const timer = this._timers[label];
+    if (!timer) {
+      this.warn(`Timer '${label}' does not exist`);
+    } else if (data.length) {
+      timer.done({ message: label, data: data.length > 1 ? data : data[0] });
+    } else {
+      timer.done();
+    }
+    return this;
+  }
+
+  /**
+   * Logs the time elapsed of a timer and stops it.
+   * @param {string=} label The label of the timer.
+   * @returns {Logger}
+   */
+  timeEnd(label = "default") {
+    const timer = this._timers[label];
+    if (!timer) {
+      this.warn(`Timer '${label}' does not exist`);
+    } else {
+      delete this._timers[label];
+      timer.done();
+    }
+    return this;
+  }
+
+  /**
+   * Starts a timer that logs its duration when calling `done()`.
+   * @param {string=} label The label of the timer.
+   * @returns {Timer}
+   */
+  startTimer(label) {
+    return new Timer(this, label);
+  }
+
+  /**
+   * Logs the duration and outcome of an asynchronous operation.
+   * @param {string} label The label of the operation.
+   * @param {function|Promise} fn The function returning a promise or the
+   * promise itself.
+   * @returns {Promise} Resolves (or rejects) with the operation's outcome.
+   */
+  profile(label, fn) {
+    const timer = new Timer(this, label);
+    return Promise.resolve()
+      .then(() => (typeof fn === "function" ? fn() : fn))
+      .then(
+        result => {
+          timer.done(`${label} succeeded`);
+          return result;
+        },
+        error => {
+          timer.done({ message: `${label} failed`, error }, "error");
+          throw error;
+        }
+      );
+  }
+
+  /**
+   * Creates a middleware that logs the start and completion of every HTTP
+   * request, usable with Express, Connect or a raw `http` server (calling it
+   * with the request, the response and the handler).
+   * @param {object=} options The options of the request logging.
+   * @see requestLogger
+   * @returns {function}
+   */
+  middleware(options) {
+    return requestLogger(this, options);
+  }
+
+  /**
+   * Creates a Koa middleware that logs the start and completion of every
+   * HTTP request.
+   * @param {object=} options The options of the request logging.
+   * @see requestLogger
+   * @returns {function}
+   */
+  koaMiddleware(options) {
+    return requestLogger.koa(this, options);
+  }
+
+  /**
+   * Routes uncaught exceptions, unhandled rejections, warnings and the
+   * termination signals (SIGTERM, SIGINT) through this logger with their
+   * full stacks. Crashes and signals flush the output, run the shutdown
+   * callbacks and exit the process. Node does not print the warnings itself
+   * while the handlers are installed.
+   * @param {object=} options The options of the handlers.
+   * @param {number=} options.exitCode The exit code after a crash.
+   * @param {number=} options.signalExitCode The exit code after a signal.
+   * Defaults to 128 plus the number of the signal.
+   * @param {string[]=} options.signals The signals that shut down.
+   * @param {boolean=} options.exitOnRejection If unhandled rejections should
+   * shut down the process.
+   * @param {number=} options.timeout The maximum milliseconds to wait before
+   * exiting.
+   * @param {function=} options.exit The function that ends the process.
+   * @returns {Logger}
+   */
+  installProcessHandlers(options = {}) {
+    this.uninstallProcessHandlers();
+    this._uninstall = processHandlers.install(
+      this,
+      Object.assign({}, options, { shutdown: this._shutdown })
+    );
+    return this;
+  }
+
+  /**
+   * Removes the handlers installed by `installProcessHandlers()`.
+   * @returns {Logger}
+   */
+  uninstallProcessHandlers() {
+    if (this._uninstall) {
+      this._uninstall();
+      this._uninstall = null;
+    }
+    return this;
+  }
+
+  /**
+   * Registers a callback to run before the process exits through the
+   * process handlers (e.g. closing connections).
+   * @param {function} callback The callback. It may return a promise.
+   * @returns {Logger}
+   */
+  onShutdown(callback) {
+    if (typeof callback !== "function") {
+      throw new TypeError("The shutdown callback must be a function.");
+    }
+    this._shutdown.push(callback);
     return this;
   }
 
@@ -571,13 +2212,31 @@ class Logger {
     return this._level >= DEBUG_LEVEL;
   }
 
+  /**
+   * Checks if the entries of a level should be built: either they pass the
+   * level or they are kept in the history.
+   * @param {number} severity The severity of the level.
+   * @returns {boolean}
+   * @private
+   */
+  _enabled(severity) {
+    return !this.silent && (this._level >= severity || Boolean(this._history));
+  }
+
   /**
    * Sends a highlight info log to the console.
    * @returns {Logger}
    */
   highlight() {
-    if (!this.silent && this._level >= HIGHLIGHT_LEVEL) {
-      this.doLog.call(this, "HGH", "info", "yellowBright", arguments);
+    if (this._enabled(HIGHLIGHT_LEVEL)) {
+      this.doLog.call(
+        this,
+        "HGH",
+        "info",
+        "yellowBright",
+        arguments,
+        HIGHLIGHT_LEVEL
+      );
     }
     return this;
   }
@@ -587,8 +2246,8 @@ class Logger {
    * @returns {Logger}
    */
   debug() {
-    if (!this.silent && this.isDebugging) {
-      this.doLog.call(this, "DBG", "debug", "magenta", arguments);
+    if (this._enabled(DEBUG_LEVEL)) {
+      this.doLog.call(this, "DBG", "debug", "magenta", arguments, DEBUG_LEVEL);
     }
     return this;
   }
@@ -598,8 +2257,15 @@ class Logger {
    * @returns {Logger}
    */
   deepDebug() {
-    if (!this.silent && this._level >= DEEP_DEBUG_LEVEL) {
-      this.doLog.call(this, "DBG", "debug", "blackBright", arguments);
+    if (this._enabled(DEEP_DEBUG_LEVEL)) {
+      this.doLog.call(
+        this,
+        "DBG",
+        "debug",
+        "blackBright",
+        arguments,
+        DEEP_DEBUG_LEVEL
+      );
     }
     return this;
   }
@@ -609,8 +2275,8 @@ class Logger {
    * @returns {Logger}
    */
   info() {
-    if (!this.silent && this._level >= INFO_LEVEL) {
-      this.doLog.call(this, "INF", "info", null, arguments);
+    if (this._enabled(INFO_LEVEL)) {
+      this.doLog.call(this, "INF", "info", null, arguments, INFO_LEVEL);
     }
     return this;
   }
@@ -620,8 +2286,8 @@ class Logger {
    * @returns {Logger}
    */
   log() {
-    if (!this.silent && this._level >= LOG_LEVEL) {
-      this.doLog.call(this, "LOG", "log", null, arguments);
+    if (this._enabled(LOG_LEVEL)) {
+      this.doLog.call(this, "LOG", "log", null, arguments, LOG_LEVEL);
     }
     return this;
   }
@@ -631,8 +2297,8 @@ class Logger {
    * @returns {Arguments}
    */
   warn() {
-    if (!this.silent && this._level >= WARN_LEVEL) {
-      this.doLog.call(this, "WRN", "warn", "yellow", arguments);
+    if (this._enabled(WARN_LEVEL)) {
+      this.doLog.call(this, "WRN", "warn", "yellow", arguments, WARN_LEVEL);
     }
     return this;
   }
@@ -642,8 +2308,8 @@ class Logger {
    * @returns {Logger}
    */
   error() {
-    if (!this.silent && this._level >= ERROR_LEVEL) {
-      this.doLog.call(this, "ERR", "error", "red", arguments);
+    if (this._enabled(ERROR_LEVEL)) {
+      this.doLog.call(this, "ERR", "error", "red", arguments, ERROR_LEVEL);
     }
     return this;
   }
@@ -654,7 +2320,7 @@ class Logger {
    */
   fatal(...args) {
     if (!this.silent) {
-      this.doLog("ERR", "error", "red", ...args);
+      this.doLog("ERR", "error", "red", args, ERROR_LEVEL);
     }
     throw new TypeError(args[0]);
   }
@@ -792,20 +2458,20 @@ class Logger {
    */
   throttle(msg, timeout = 1000, method = "log") {
     const key = method + (msg.message || msg);
-    if (_throttle[key]) {
-      clearTimeout(_throttle[key]);
+    if (this._throttles[key]) {
+      clearTimeout(this._throttles[key]);
     } else {
       this[method](msg);
     }
     const self = this;
-    _throttle[key] = setTimeout(
+    this._throttles[key] = setTimeout(
       function() {
         self[this.method](
           Object.assign(this.msg, {
             suffix: "Throttled - " + self._getLastLine()
           })
         );
-        delete _throttle[this.key];
+        delete self._throttles[this.key];
       }.bind({
         key,
         method: method,
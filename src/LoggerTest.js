@@ -6,11 +6,16 @@ let error = jasmine.createSpy();
 let group = jasmine.createSpy();
 let groupEnd = jasmine.createSpy();
 let groupStart = jasmine.createSpy();
-const Logger = require("proxyquire")
-  .noCallThru()
-  .load("./Logger", {
-    "./console": { log, warn, debug, info, error, group, groupEnd, groupStart }
-  });
+const Logger = require("./testing").loadLogger({
+  log,
+  warn,
+  debug,
+  info,
+  error,
+  group,
+  groupEnd,
+  groupStart
+});
 const { exec } = require("child_process");
 let logger;
 
@@ -275,4 +280,441 @@ describe("Logger", () => {
     logger.groupEnd();
     expect(group).toHaveBeenCalledWith('Something');
   })
+
+  it("should write entries to every registered transport", () => {
+    const instance = Logger.getLogger("info");
+    const memory = new Logger.MemoryTransport();
+    const errors = new Logger.MemoryTransport({
+      name: "errors",
+      level: "warn"
+    });
+    instance.addTransport(memory).addTransport(errors);
+    instance.info("Title", "Message");
+    instance.error("Failure");
+    instance.debug("Hidden");
+    expect(memory.lines).toEqual(["[INF] [Title] Message", "[ERR] Failure"]);
+    expect(memory.entries[1].levelName).toBe("error");
+    expect(errors.lines).toEqual(["[ERR] Failure"]);
+    expect(instance.getTransport("errors")).toBe(errors);
+    instance.removeTransport("errors").removeTransport(memory);
+    instance.info("Gone");
+    expect(memory.lines.length).toBe(2);
+    expect(instance.transports.length).toBe(1);
+  });
+
+  it("should write its own messages as JSON in JSON mode", () => {
+    const broken = new Logger.Transport({ name: "broken" });
+    broken.write = () => {
+      throw new Error("Disk full");
+    };
+    const Visible = require("./testing").loadLogger(
+      { log, error },
+      {
+        "ezzy-argument": (name, fallback) =>
+          name === "HIDE_ARGUMENTS" ? "false" : fallback
+      }
+    );
+    log.calls.reset();
+    error.calls.reset();
+    const instance = Visible.getLogger("info", false, {
+      json: true,
+      transports: [broken]
+    });
+    instance.level = "warn";
+    instance.warn("Hello");
+    const lines = log.calls
+      .allArgs()
+      .concat(error.calls.allArgs())
+      .map(args => JSON.parse(args.join(" ")));
+    expect(lines.map(line => line.message)).toEqual([
+      "Logging level set to 3 | is not debugging | is not silent",
+      "Requested logging level to change to 'warn'",
+      "Transport 'broken' failed: Disk full"
+    ]);
+    expect(lines[2].levelName).toBe("error");
+  });
+
+  it("should use the formatter of each transport", () => {
+    const instance = Logger.getLogger("info");
+    const memory = new Logger.MemoryTransport({
+      formatter: entry => `${entry.levelName}: ${entry.message}`
+    });
+    instance.removeTransport("console").addTransport(memory);
+    log.calls.reset();
+    instance.info("Hello");
+    expect(memory.lines).toEqual(["info: Hello"]);
+    expect(log).not.toHaveBeenCalled();
+    expect(() => instance.addTransport({})).toThrowError(TypeError);
+  });
+
+  it("should write structured JSON entries", () => {
+    const instance = Logger.getLogger("info", false, { json: true });
+    const memory = new Logger.MemoryTransport();
+    const error = new Error("Boom");
+    instance.addTransport(memory);
+    instance.error(
+      { request: { loggerPrefix: "req-1" } },
+      "Title",
+      "Failed",
+      error
+    );
+    instance.info("Title", "Data", { a: 1 });
+    const first = JSON.parse(memory.lines[0]);
+    expect(first.level).toBe(0);
+    expect(first.levelName).toBe("error");
+    expect(first.title).toBe("Title");
+    expect(first.message).toBe("Failed");
+    expect(first.loggerPrefix).toBe("req-1");
+    expect(first.error.message).toBe("Boom");
+    expect(first.error.stack).toBe(error.stack);
+    expect(new Date(first.time).getTime()).not.toBeNaN();
+    expect(JSON.parse(memory.lines[1]).data).toEqual({ a: 1 });
+    instance.json = false;
+    instance.info("Plain");
+    expect(memory.lines[2]).toBe("[INF] Plain");
+  });
+
+  it("should create child loggers with bound context", () => {
+    const parent = Logger.getLogger("warn");
+    const memory = new Logger.MemoryTransport();
+    parent.addTransport(memory);
+    const child = parent.child({ service: "billing" });
+    const grandChild = child.child({ requestId: 7 });
+    expect(child.level).toBe(parent.level);
+    expect(child.parent).toBe(parent);
+    expect(child.transports).toContain(memory);
+    grandChild.info("Hidden");
+    grandChild.warn("Title", "Slow");
+    expect(memory.lines).toEqual([
+      "[WRN] [service=billing requestId=7] [Title] Slow"
+    ]);
+    expect(parent.context).toEqual({});
+    grandChild.json = true;
+    grandChild.error("Failed");
+    const entry = JSON.parse(memory.lines[1]);
+    expect(entry.service).toBe("billing");
+    expect(entry.requestId).toBe(7);
+    expect(entry.message).toBe("Failed");
+  });
+
+  it("should enable named loggers by namespace patterns", () => {
+    const memory = new Logger.MemoryTransport();
+    Logger.logger.level = "info";
+    Logger.logger.talk();
+    Logger.logger.addTransport(memory);
+    Logger.enable("db:*,-db:pool,http:*=deepDebug");
+    const db = Logger.get("db:query");
+    const pool = Logger.get("db:pool");
+    const http = Logger.get("http:server");
+    expect(Logger.get("db:query")).toBe(db);
+    expect(db.level).toBe(5);
+    expect(pool.level).toBe(3);
+    expect(http.level).toBe(6);
+    pool.debug("Hidden");
+    db.debug({ message: "Query", suffix: false });
+    expect(memory.lines).toEqual(["[DBG] [db:query] Query"]);
+    Logger.enable("");
+    expect(db.level).toBe(3);
+    Logger.logger.removeTransport(memory);
+  });
+
+  it("should write the named loggers to the transports added later", () => {
+    const memory = new Logger.MemoryTransport();
+    Logger.logger.level = "info";
+    Logger.logger.talk();
+    const named = Logger.get("transports:later");
+    const child = Logger.logger.child({ id: 1 });
+    Logger.logger.addTransport(memory);
+    named.info("Named");
+    child.info({ message: "Child", suffix: false });
+    Logger.logger.removeTransport(memory);
+    named.info("Removed");
+    expect(memory.lines).toEqual([
+      "[INF] [transports:later] Named",
+      "[INF] [id=1] Child"
+    ]);
+    expect(named.getTransport("memory")).toBeUndefined();
+  });
+
+  it("should add custom levels", () => {
+    class CustomLogger extends Logger {}
+    CustomLogger.addLevel("trace", { severity: 6.5, color: "cyan" })
+      .addLevel("notice", { severity: 2.5, prefix: "NTC" })
+      .addLevel("critical", {
+        severity: -1,
+        prefix: "CRT",
+        consoleMethod: "error"
+      });
+    const instance = new CustomLogger("notice");
+    const memory = new Logger.MemoryTransport();
+    instance.addTransport(memory);
+    expect(instance.LEVELS.slice(0, 5)).toEqual([
+      "critical",
+      "error",
+      "warn",
+      "highlight",
+      "notice"
+    ]);
+    expect(instance.level).toBe(2.5);
+    instance.notice("Visible");
+    instance.info("Hidden");
+    instance.trace("Hidden");
+    expect(instance.critical("Stop")).toBe(instance);
+    expect(memory.lines).toEqual(["[NTC] Visible", "[CRT] Stop"]);
+    expect(memory.entries[0].levelName).toBe("notice");
+    instance.level = "trace";
+    expect(instance.level).toBe(6.5);
+    expect(instance.traceThrottle).toBeDefined();
+    instance.level = "critical";
+    expect(instance.level).toBe(-1);
+    instance.level = "unknown";
+    expect(instance.level).toBe(0);
+    const plain = Logger.getLogger("trace", false, { transports: [memory] });
+    plain.trace({ message: "Plain", suffix: false });
+    expect(memory.lines[2]).toBe("[TRA] Plain");
+    expect(() => Logger.addLevel("info", { severity: 10 })).toThrowError(
+      TypeError
+    );
+    expect(() => Logger.addLevel("audit", { severity: 1 })).toThrowError(
+      TypeError
+    );
+    expect(() => Logger.addLevel("group", { severity: 7 })).toThrowError(
+      TypeError
+    );
+  });
+
+  it("should write buffered entries in batches", done => {
+    const instance = Logger.getLogger("info", false, {
+      buffer: { interval: 10, size: 3 }
+    });
+    const memory = new Logger.MemoryTransport();
+    instance.addTransport(memory);
+    info.calls.reset();
+    instance.info("One");
+    instance.child({ id: 1 }).info("Two");
+    expect(memory.lines).toEqual([]);
+    instance.info("Three");
+    expect(memory.lines).toEqual([
+      "[INF] One",
+      "[INF] [id=1] Two",
+      "[INF] Three"
+    ]);
+    expect(info).toHaveBeenCalledTimes(1);
+    expect(info.calls.mostRecent().args[0]).toBe(memory.lines.join("\n"));
+    instance.info("Four");
+    instance.flush().then(() => {
+      expect(memory.lines.length).toBe(4);
+      const exitListeners = process.listenerCount("exit");
+      instance.child({ id: 2 }).close();
+      expect(process.listenerCount("exit")).toBe(exitListeners);
+      instance.info("Five");
+      return instance.close().then(() => {
+        expect(memory.lines.length).toBe(5);
+        expect(process.listenerCount("exit")).toBe(exitListeners - 1);
+        instance.info("Six");
+        expect(memory.lines.length).toBe(6);
+        done();
+      });
+    });
+  });
+
+  it("should redact sensitive values before the transports", () => {
+    const instance = Logger.getLogger("info", false, {
+      redact: { paths: ["password", "auth.*"], patterns: ["bearer"] }
+    });
+    const memory = new Logger.MemoryTransport();
+    instance.addTransport(memory);
+    const data = { user: "jo", password: "1234" };
+    instance.info("Login", "Using Bearer abc", data);
+    instance.child({ auth: { key: "k" } }).warn({ message: { password: 1 } });
+    instance.error("Failed", new Error("Bearer abc rejected"));
+    expect(memory.lines[0]).toBe(
+      '[INF] [Login] Using [REDACTED] {"user":"jo","password":"[REDACTED]"}'
+    );
+    expect(memory.lines[1]).toBe(
+      '[WRN] [auth={"key":"[REDACTED]"}] {"password":"[REDACTED]"}'
+    );
+    expect(memory.entries[2].error.message).toBe("[REDACTED] rejected");
+    expect(data.password).toBe("1234");
+    instance.redact = null;
+    instance.info("Bearer abc");
+    expect(memory.lines[3]).toBe("[INF] Bearer abc");
+  });
+
+  it("should safely serialize the logged data", () => {
+    const instance = Logger.getLogger("info");
+    const memory = new Logger.MemoryTransport();
+    const data = { id: BigInt(1), tags: new Set(["a"]) };
+    data.self = data;
+    instance.addTransport(memory);
+    instance.addSerializer("date", date => date.getTime());
+    instance.info("Data", data);
+    instance.info({ message: { when: new Date(5) } });
+    expect(memory.lines).toEqual([
+      '[INF] [Data]  {"id":"1n","tags":["a"],"self":"[Circular]"}',
+      '[INF] {"when":5}'
+    ]);
+    instance.json = true;
+    instance.info("Data", data);
+    expect(JSON.parse(memory.lines[2]).data.self).toBe("[Circular]");
+  });
+
+  it("should log the message next to the error details", () => {
+    if (!("cause" in new Error("", { cause: null }))) {
+      pending("Error causes need node 16.9 or later.");
+    }
+    const instance = Logger.getLogger("info");
+    const memory = new Logger.MemoryTransport();
+    const error = new Error("Timeout", { cause: new Error("Socket closed") });
+    error.code = "ETIMEDOUT";
+    instance.addTransport(memory);
+    instance.error("Http", "Request failed", error);
+    const lines = memory.lines[0].split("\n");
+    expect(lines[0]).toBe("[ERR] [Http] Request failed [Timeout]");
+    expect(lines[1]).toBe('Error: Timeout {"code":"ETIMEDOUT"}');
+    expect(memory.lines[0]).toContain("Caused by: Error: Socket closed");
+    instance.json = true;
+    instance.error(error);
+    const entry = JSON.parse(memory.lines[1]);
+    expect(entry.message).toBe("Timeout");
+    expect(entry.error.code).toBe("ETIMEDOUT");
+    expect(entry.error.cause.message).toBe("Socket closed");
+  });
+
+  it("should measure and log durations", done => {
+    const instance = Logger.getLogger("info");
+    const memory = new Logger.MemoryTransport();
+    instance.addTransport(memory);
+    instance.time("load");
+    instance.time("load");
+    instance.timeLog("load", { step: 1 });
+    instance.timeEnd("load");
+    instance.timeEnd("load");
+    expect(memory.lines[0]).toBe("[WRN] Timer 'load' already exists");
+    expect(memory.lines[1]).toMatch(/^\[INF] load {"step":1} ⏱ [\d.]+ms$/);
+    expect(memory.lines[2]).toMatch(/^\[INF] load ⏱ [\d.]+ms$/);
+    expect(memory.lines[3]).toBe("[WRN] Timer 'load' does not exist");
+    const timer = instance.startTimer();
+    expect(timer.done("Imported")).toEqual(jasmine.any(Number));
+    expect(memory.entries[4].duration).toEqual(jasmine.any(Number));
+    instance.json = true;
+    instance
+      .profile("fetch", () => Promise.resolve(5))
+      .then(result => {
+        expect(result).toBe(5);
+        expect(JSON.parse(memory.lines[5]).message).toBe("fetch succeeded");
+        return instance.profile("save", Promise.reject(new Error("Nope")));
+      })
+      .catch(e => {
+        const entry = JSON.parse(memory.lines[6]);
+        expect(e.message).toBe("Nope");
+        expect(entry.levelName).toBe("error");
+        expect(entry.duration).toEqual(jasmine.any(Number));
+        done();
+      });
+  });
+
+  it("should not open console groups when the output is JSON", () => {
+    const instance = Logger.getLogger("info", false, { json: true });
+    group.calls.reset();
+    groupEnd.calls.reset();
+    info.calls.reset();
+    instance.groupStart("Import");
+    instance.info("Saved");
+    instance.groupEnd();
+    expect(group).not.toHaveBeenCalled();
+    expect(groupEnd).not.toHaveBeenCalled();
+    const line = JSON.parse(info.calls.mostRecent().args[0]);
+    expect(line.message).toBe("Saved");
+    expect(line.group).toBe("Import");
+  });
+
+  it("should nest the logging groups", done => {
+    const instance = Logger.getLogger("debug");
+    const memory = new Logger.MemoryTransport();
+    instance.addTransport(memory);
+    group.calls.reset();
+    groupEnd.calls.reset();
+    instance.groupStart("Import");
+    instance.groupStart("Users");
+    instance.info({ message: "Saved", suffix: false });
+    instance.groupEnd();
+    instance.info({ message: "Next", suffix: false });
+    instance.groupEnd();
+    instance.groupEnd();
+    expect(instance.isGroupped).toBe(false);
+    expect(group).toHaveBeenCalledTimes(2);
+    expect(groupEnd).toHaveBeenCalledTimes(2);
+    expect(memory.lines[0]).toBe("    [INF] [Import > Users] Saved");
+    expect(memory.lines[1]).toMatch(
+      /^ {4}\[DBG] \[Import > Users] Group finished ⏱ [\d.]+ms/
+    );
+    expect(memory.lines[2]).toBe("  [INF] [Import] Next");
+    expect(memory.entries[3].groupTitle).toBe("Import");
+    expect(() =>
+      instance.withGroup("Sync", () => {
+        throw new Error("Failed");
+      })
+    ).toThrowError("Failed");
+    expect(instance.isGroupped).toBe(false);
+    const result = instance.withGroup("Async", () => {
+      expect(instance.groupPath).toBe("Async");
+      return Promise.resolve(3);
+    });
+    result.then(value => {
+      expect(value).toBe(3);
+      expect(instance.isGroupped).toBe(false);
+      done();
+    });
+  });
+
+  it("should close concurrent groups independently", done => {
+    const instance = Logger.getLogger("debug");
+    const memory = new Logger.MemoryTransport();
+    instance.addTransport(memory);
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const slow = instance.withGroup("Slow", () => wait(60));
+    const fast = instance.withGroup("Fast", () => wait(10));
+    expect(instance.groupPath).toBe("Slow > Fast");
+    fast
+      .then(() => {
+        expect(instance.groupPath).toBe("Slow");
+        return slow;
+      })
+      .then(() => {
+        expect(instance.isGroupped).toBe(false);
+        const durations = memory.entries.map(entry => entry.duration);
+        expect(durations[0]).toBeLessThan(50);
+        expect(durations[1]).not.toBeLessThan(50);
+        done();
+      });
+  });
+
+  it("should add the asynchronous context to the entries", done => {
+    if (!require("async_hooks").AsyncLocalStorage) {
+      pending("AsyncLocalStorage needs node 12.17 or later.");
+    }
+    const instance = Logger.getLogger("info");
+    const memory = new Logger.MemoryTransport();
+    instance.addTransport(memory);
+    Logger.runWithContext({ requestId: "r1" }, () =>
+      setTimeout(() => {
+        instance.child({ service: "api" }).info("Deferred");
+        Logger.runWithContext({ userId: 2 }, () => {
+          expect(Logger.context).toEqual({ requestId: "r1", userId: 2 });
+          instance.info("Nested");
+        });
+      }, 5)
+    );
+    instance.info("Outside");
+    expect(Logger.context).toEqual({});
+    setTimeout(() => {
+      expect(memory.lines).toEqual([
+        "[INF] Outside",
+        "[INF] [requestId=r1 service=api] Deferred",
+        "[INF] [requestId=r1 userId=2] Nested"
+      ]);
+      done();
+    }, 20);
+  });
 });
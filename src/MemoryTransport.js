@@ -0,0 +1,66 @@
+const Transport = require("./Transport");
+
+/**
+ * A transport that keeps the entries in memory.
+ */
+class MemoryTransport extends Transport {
+  /**
+   * @param {object=} options The options of the transport.
+   * @param {number=} options.limit The maximum amount of entries to keep.
+   * @see Transport
+   */
+  constructor(options = {}) {
+    super(Object.assign({ name: "memory", boring: true }, options));
+
+    /**
+     * The maximum amount of entries to keep.
+     * @type {number}
+     */
+    this.limit = options.limit || 1000;
+
+    /**
+     * The entries written.
+     * @type {object[]}
+     */
+    this.entries = [];
+
+    /**
+     * The formatted lines of the entries written.
+     * @type {string[]}
+     */
+    this.lines = [];
+  }
+
+  /**
+   * Saves the entry and its formatted text.
+   * @param {object} entry The log entry.
+   */
+  write(entry) {
+    this.entries.push(entry);
+    this.lines.push(this.formatText(entry));
+    if (this.entries.length > this.limit) {
+      this.entries.shift();
+      this.lines.shift();
+    }
+  }
+
+  /**
+   * Empties the buffer.
+   * @returns {MemoryTransport}
+   */
+  clear() {
+    this.entries = [];
+    this.lines = [];
+    return this;
+  }
+
+  /**
+   * Obtains all the formatted lines as a single string.
+   * @returns {string}
+   */
+  toString() {
+    return this.lines.join("\n");
+  }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,228 @@
+/**
+ * Decides which entries are written: entries can be sampled by level (e.g.
+ * keep 10% of the debug entries) and limited with token buckets, either for
+ * the whole logger or by message. The entries suppressed by the limits are
+ * counted and reported periodically.
+ */
+class RateLimiter {
+  /**
+   * @param {object=} options The options of the limiter.
+   * @param {object=} options.sample The ratio of entries to keep by level
+   * name (e.g. `{ debug: 0.1 }`).
+   * @param {number=} options.rate The amount of entries allowed every
+   * interval. When not defined, the entries are only sampled.
+   * @param {number=} options.interval The milliseconds in which the rate is
+   * refilled.
+   * @param {number=} options.burst The maximum amount of entries allowed at
+   * once. Defaults to the rate.
+   * @param {string|function=} options.key How the entries are limited: `logger`
+   * (a single bucket), `message` (a bucket by level, title and message) or a
+   * function obtaining the key out of the entry.
+   * @param {number=} options.maxKeys The maximum amount of buckets to keep.
+   * @param {number=} options.summaryInterval The milliseconds between the
+   * reports of the suppressed entries.
+   * @param {function} report The function receiving the amount of entries
+   * suppressed, the seconds elapsed and the entry that was suppressed (when
+   * limiting by message).
+   */
+  constructor(
+    {
+      sample = {},
+      rate = null,
+      interval = 1000,
+      burst = rate,
+      key = "logger",
+      maxKeys = 1000,
+      summaryInterval = 60000
+    } = {},
+    report
+  ) {
+    /**
+     * The ratio of entries to keep by level name.
+     * @type {object}
+     */
+    this.sample = Object.assign({}, sample);
+
+    /**
+     * The amount of entries allowed every interval.
+     * @type {number|null}
+     */
+    this.rate = rate;
+
+    /**
+     * The milliseconds in which the rate is refilled.
+     * @type {number}
+     */
+    this.interval = interval;
+
+    /**
+     * The maximum amount of entries allowed at once.
+     * @type {number|null}
+     */
+    this.burst = burst;
+
+    /**
+     * How the entries are grouped into buckets.
+     * @type {string|function}
+     */
+    this.key = key;
+
+    /**
+     * The maximum amount of buckets to keep.
+     * @type {number}
+     */
+    this.maxKeys = maxKeys;
+
+    /**
+     * The milliseconds between the reports of the suppressed entries.
+     * @type {number}
+     */
+    this.summaryInterval = summaryInterval;
+
+    /**
+     * The amount of entries dropped by the sampling.
+     * @type {number}
+     */
+    this.sampled = 0;
+
+    /**
+     * The amount of entries suppressed by the rate limits.
+     * @type {number}
+     */
+    this.limited = 0;
+
+    /**
+     * The function reporting the suppressed entries.
+     * @type {function}
+     * @private
+     */
+    this._report = report;
+
+    /**
+     * The token buckets by key.
+     * @type {Map<string, {tokens: number, time: number}>}
+     * @private
+     */
+    this._buckets = new Map();
+
+    /**
+     * The entries suppressed since the last report by key.
+     * @type {Map<string, {count: number, entry: object}>}
+     * @private
+     */
+    this._suppressed = new Map();
+
+    /**
+     * The timer of the reports.
+     * @type {*}
+     * @private
+     */
+    this._timer = null;
+  }
+
+  /**
+   * Checks if an entry should be written, counting it otherwise.
+   * @param {object} entry The log entry.
+   * @returns {boolean}
+   */
+  allow(entry) {
+    const ratio = this.sample[entry.levelName];
+    if (ratio !== undefined && Math.random() >= ratio) {
+      this.sampled++;
+      return false;
+    }
+    if (!this.rate) {
+      return true;
+    }
+
+    const key = this._keyOf(entry);
+    const now = Date.now();
+    let bucket = this._buckets.get(key);
+    if (bucket) {
+      this._buckets.delete(key);
+      bucket.tokens = Math.min(
+        this.burst,
+        bucket.tokens + ((now - bucket.time) * this.rate) / this.interval
+      );
+      bucket.time = now;
+    } else {
+      bucket = { tokens: this.burst, time: now };
+      if (this._buckets.size >= this.maxKeys) {
+        this._buckets.delete(this._buckets.keys().next().value);
+      }
+    }
+    this._buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens--;
+      return true;
+    }
+
+    this.limited++;
+    const suppressed = this._suppressed.get(key);
+    if (suppressed) {
+      suppressed.count++;
+    } else {
+      this._suppressed.set(key, { count: 1, entry });
+    }
+    this._schedule();
+    return false;
+  }
+
+  /**
+   * Reports the entries suppressed since the last report.
+   */
+  summarize() {
+    const seconds = Math.round(this.summaryInterval / 1000);
+    const suppressed = Array.from(this._suppressed.values());
+    this._suppressed.clear();
+    suppressed.forEach(({ count, entry }) =>
+      this._report(count, seconds, this.key === "logger" ? null : entry)
+    );
+    if (!suppressed.length && this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Reports any suppressed entries and stops the reports.
+   */
+  close() {
+    this.summarize();
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Obtains the bucket key of an entry.
+   * @param {object} entry The log entry.
+   * @returns {string}
+   * @private
+   */
+  _keyOf(entry) {
+    if (typeof this.key === "function") {
+      return String(this.key(entry));
+    }
+    return this.key === "message"
+      ? `${entry.levelName}|${entry.title}|${entry.text}`
+      : "";
+  }
+
+  /**
+   * Starts the periodic reports.
+   * @private
+   */
+  _schedule() {
+    if (!this._timer) {
+      this._timer = setInterval(() => this.summarize(), this.summaryInterval);
+      if (this._timer.unref) {
+        this._timer.unref();
+      }
+    }
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,131 @@
+const { loadLogger, memoryLogger } = require("./testing");
+const Logger = loadLogger();
+let logger;
+let memory;
+
+/**
+ * Creates a logger with a rate limit writing into memory.
+ * @param {object} rateLimit The options of the rate limit.
+ * @returns {Logger}
+ */
+const limited = rateLimit => {
+  ({ logger, memory } = memoryLogger(Logger, { rateLimit }));
+  return logger;
+};
+
+describe("RateLimiter", () => {
+  afterEach(() => {
+    if (logger) {
+      logger.rateLimit = null;
+    }
+  });
+
+  it("should sample the entries by level", () => {
+    logger = limited({ sample: { info: 0.25, warn: 0 } });
+    const random = spyOn(Math, "random");
+    [0.1, 0.3, 0.2, 0.9].forEach(value => {
+      random.and.returnValue(value);
+      logger.info(`Info ${value}`);
+    });
+    logger.warn("Dropped");
+    logger.error("Kept");
+    expect(memory.entries.map(entry => entry.message)).toEqual([
+      "Info 0.1",
+      "Info 0.2",
+      "Kept"
+    ]);
+    expect(logger._limiter.sampled).toBe(3);
+  });
+
+  it("should limit the entries of the logger", () => {
+    logger = limited({ rate: 2, interval: 60000 });
+    logger.info("One");
+    logger.child({ id: 1 }).info("Two");
+    logger.info("Three");
+    logger.error("Four");
+    logger.error({ message: "Critical", limit: false });
+    expect(memory.entries.map(entry => entry.message)).toEqual([
+      "One",
+      "Two",
+      "Critical"
+    ]);
+    expect(logger._limiter.limited).toBe(2);
+  });
+
+  it("should refill the tokens over time", () => {
+    jasmine.clock().install();
+    jasmine.clock().mockDate(new Date(2020, 0, 1));
+    logger = limited({ rate: 1, interval: 1000 });
+    logger.info("One");
+    logger.info("Two");
+    jasmine.clock().tick(1000);
+    logger.info("Three");
+    jasmine.clock().uninstall();
+    expect(memory.entries.map(entry => entry.message)).toEqual([
+      "One",
+      "Three"
+    ]);
+  });
+
+  it("should limit the entries by message and summarize them", () => {
+    jasmine.clock().install();
+    logger = limited({
+      rate: 1,
+      interval: 60000,
+      key: "message",
+      summaryInterval: 60000
+    });
+    for (let i = 0; i < 4; i++) {
+      logger.error("Connection refused");
+      logger.info("Retrying");
+    }
+    jasmine.clock().tick(60000);
+    jasmine.clock().uninstall();
+    expect(memory.lines).toEqual([
+      "[ERR] Connection refused",
+      "[INF] Retrying",
+      "[WRN] Suppressed 3 similar messages in the last 60s: Connection refused",
+      "[WRN] Suppressed 3 similar messages in the last 60s: Retrying"
+    ]);
+    expect(memory.entries[2].fields).toEqual({ suppressed: 3 });
+  });
+
+  it("should report the suppressed entries whatever the level", () => {
+    jasmine.clock().install();
+    logger = limited({ rate: 1, interval: 60000, summaryInterval: 60000 });
+    logger.level = "error";
+    logger.error("One");
+    logger.error("Two");
+    jasmine.clock().tick(60000);
+    jasmine.clock().uninstall();
+    expect(memory.lines).toEqual([
+      "[ERR] One",
+      "[WRN] Suppressed 1 messages in the last 60s"
+    ]);
+  });
+
+  it("should leave the limiter of the parent to its owner", () => {
+    logger = limited({ rate: 1, interval: 60000 });
+    const close = spyOn(logger._limiter, "close");
+    const child = logger.child({ id: 1 });
+    child.rateLimit = null;
+    expect(close).not.toHaveBeenCalled();
+    expect(child._limiter).toBe(null);
+    logger.info("One");
+    logger.info("Two");
+    expect(memory.lines).toEqual(["[INF] One"]);
+    logger.rateLimit = null;
+    expect(close).toHaveBeenCalled();
+  });
+
+  it("should keep the throttles by instance", () => {
+    jasmine.clock().install();
+    logger = limited();
+    const other = Logger.getLogger("info", false, { transports: [memory] });
+    logger.infoThrottle("Busy", 100);
+    other.infoThrottle("Busy", 100);
+    jasmine.clock().tick(100);
+    jasmine.clock().uninstall();
+    expect(memory.entries.length).toBe(4);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * The patterns that can be referenced by name.
+ *
+ * @type {object}
+ */
+const PATTERNS = {
+  creditCard: /\b(?:\d[ -]?){12,18}\d\b/g,
+  bearer: /\bBearer\s+[\w\-.~+/]+=*/gi
+};
+
+/**
+ * Checks if a path matches a rule, where `*` matches any key and `**` any
+ * amount of keys.
+ * @param {string[]} rule The segments of the rule.
+ * @param {string[]} path The segments of the path.
+ * @returns {boolean}
+ * @private
+ */
+const matches = (rule, path) => {
+  if (!rule.length) {
+    return !path.length;
+  }
+  if (rule[0] === "**") {
+    return (
+      matches(rule.slice(1), path) ||
+      (path.length > 0 && matches(rule, path.slice(1)))
+    );
+  }
+  return (
+    path.length > 0 &&
+    (rule[0] === "*" || rule[0] === path[0]) &&
+    matches(rule.slice(1), path.slice(1))
+  );
+};
+
+/**
+ * Masks sensitive values out of the logged data, messages, errors and
+ * context. The logged values are never modified, redacted copies are made.
+ */
+class Redactor {
+  /**
+   * @param {object=} options The options of the redactor.
+   * @param {string[]=} options.paths The key paths to mask (e.g.
+   * `user.password`, `headers.authorization`, `*.token` or `**.secret`).
+   * Keys are not case sensitive.
+   * @param {Array<RegExp|string>=} options.patterns The patterns to mask in
+   * strings. Strings can reference the built-in patterns (`creditCard`,
+   * `bearer`).
+   * @param {string=} options.mask The replacement of the masked values.
+   */
+  constructor({ paths = [], patterns = [], mask = "[REDACTED]" } = {}) {
+    /**
+     * The segments of the paths to mask.
+     * @type {string[][]}
+     */
+    this.paths = paths.map(path => path.toLowerCase().split("."));
+
+    /**
+     * The patterns to mask in strings.
+     * @type {RegExp[]}
+     */
+    this.patterns = patterns.map(pattern => {
+      const regExp =
+        typeof pattern === "string"
+          ? PATTERNS[pattern] || new RegExp(pattern)
+          : pattern;
+      return regExp.global
+        ? regExp
+        : new RegExp(regExp.source, regExp.flags + "g");
+    });
+
+    /**
+     * The replacement of the masked values.
+     * @type {string}
+     */
+    this.mask = mask;
+  }
+
+  /**
+   * The patterns that can be referenced by name.
+   * @returns {object}
+   */
+  static get patterns() {
+    return PATTERNS;
+  }
+
+  /**
+   * Masks the patterns found in a string.
+   * @param {string} value The string.
+   * @returns {string}
+   */
+  redactString(value) {
+    if (typeof value !== "string") {
+      return value;
+    }
+    return this.patterns.reduce(
+      (str, pattern) => str.replace(pattern, this.mask),
+      value
+    );
+  }
+
+  /**
+   * Creates a redacted copy of a value.
+   * @param {*} value The value.
+   * @param {string[]=} path The path of the value.
+   * @param {Map=} seen The copies already made (for circular references).
+   * @returns {*}
+   */
+  redact(value, path = [], seen = new Map()) {
+    if (path.length && this.paths.some(rule => matches(rule, path))) {
+      return this.mask;
+    }
+    if (typeof value === "string") {
+      return this.redactString(value);
+    }
+    if (!value || typeof value !== "object") {
+      return value;
+    }
+    if (seen.has(value)) {
+      return seen.get(value);
+    }
+    if (value instanceof Error) {
+      return this.redactError(value, path, seen);
+    }
+    if (value instanceof Map) {
+      const copy = new Map();
+      seen.set(value, copy);
+      value.forEach((item, key) =>
+        copy.set(
+          key,
+          this.redact(item, path.concat(String(key).toLowerCase()), seen)
+        )
+      );
+      return copy;
+    }
+    if (Array.isArray(value)) {
+      const copy = [];
+      seen.set(value, copy);
+      value.forEach((item, i) =>
+        copy.push(this.redact(item, path.concat(String(i)), seen))
+      );
+      return copy;
+    }
+    if (value instanceof Set) {
+      // The items of a set are masked like the items of an array.
+      const copy = new Set();
+      seen.set(value, copy);
+      let i = 0;
+      value.forEach(item =>
+        copy.add(this.redact(item, path.concat(String(i++)), seen))
+      );
+      return copy;
+    }
+    if (
+      value instanceof Date ||
+      value instanceof RegExp ||
+      ArrayBuffer.isView(value)
+    ) {
+      return value;
+    }
+    const copy = Object.create(Object.getPrototypeOf(value));
+    seen.set(value, copy);
+    Object.keys(value).forEach(key => {
+      copy[key] = this.redact(value[key], path.concat(key.toLowerCase()), seen);
+    });
+    return copy;
+  }
+
+  /**
+   * Creates a redacted copy of an error, masking its message, stack and
+   * custom properties.
+   * @param {Error} error The error.
+   * @param {string[]=} path The path of the error.
+   * @param {Map=} seen The copies already made (for circular references).
+   * @returns {Error}
+   */
+  redactError(error, path = [], seen = new Map()) {
+    const copy = new Error();
+    Object.setPrototypeOf(copy, Object.getPrototypeOf(error));
+    seen.set(error, copy);
+    Object.getOwnPropertyNames(error).forEach(key => {
+      Object.defineProperty(copy, key, {
+        value: this.redact(error[key], path.concat(key.toLowerCase()), seen),
+        enumerable: Object.getOwnPropertyDescriptor(error, key).enumerable,
+        configurable: true,
+        writable: true
+      });
+    });
+    return copy;
+  }
+}
+
+module.exports = Redactor;
@@ -0,0 +1,64 @@
+const Redactor = require("./Redactor");
+
+describe("Redactor", () => {
+  it("should mask the configured paths without modifying the value", () => {
+    const redactor = new Redactor({
+      paths: ["user.password", "headers.authorization", "*.token", "**.secret"]
+    });
+    const value = {
+      user: { name: "Jo", password: "1234" },
+      headers: { Authorization: "abc" },
+      session: { token: "xyz" },
+      deep: { list: [{ secret: 1 }] }
+    };
+    expect(redactor.redact(value)).toEqual({
+      user: { name: "Jo", password: "[REDACTED]" },
+      headers: { Authorization: "[REDACTED]" },
+      session: { token: "[REDACTED]" },
+      deep: { list: [{ secret: "[REDACTED]" }] }
+    });
+    expect(value.user.password).toBe("1234");
+  });
+
+  it("should mask the patterns found in strings", () => {
+    const redactor = new Redactor({
+      patterns: ["creditCard", "bearer", /pin=\d+/],
+      mask: "***"
+    });
+    expect(
+      redactor.redactString("Card 4111 1111 1111 1111 Bearer abc.def pin=12")
+    ).toBe("Card *** *** ***");
+    expect(redactor.redact({ note: "pin=1" })).toEqual({ note: "***" });
+  });
+
+  it("should redact the items of sets", () => {
+    const redactor = new Redactor({
+      paths: ["**.password"],
+      patterns: ["bearer"]
+    });
+    const users = new Set([{ name: "Jo", password: "1234" }, "Bearer abc"]);
+    const copy = redactor.redact({ users }).users;
+    expect(copy instanceof Set).toBe(true);
+    expect(Array.from(copy)).toEqual([
+      { name: "Jo", password: "[REDACTED]" },
+      "[REDACTED]"
+    ]);
+    expect(Array.from(users)[0].password).toBe("1234");
+  });
+
+  it("should redact errors and circular references", () => {
+    const redactor = new Redactor({ paths: ["token"], patterns: ["bearer"] });
+    const error = new TypeError("Invalid Bearer abc");
+    error.token = "secret";
+    const copy = redactor.redactError(error);
+    expect(copy instanceof TypeError).toBe(true);
+    expect(copy.message).toBe("Invalid [REDACTED]");
+    expect(copy.stack).not.toContain("abc");
+    expect(copy.token).toBe("[REDACTED]");
+    const circular = { token: "a" };
+    circular.self = circular;
+    const circularCopy = redactor.redact(circular);
+    expect(circularCopy.self).toBe(circularCopy);
+    expect(circularCopy.token).toBe("[REDACTED]");
+  });
+});
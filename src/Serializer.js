@@ -0,0 +1,259 @@
+const trueTypeOf = require("ezzy-typeof");
+const errors = require("./errors");
+
+/**
+ * Turns any value into data that can be safely converted into JSON. Unlike
+ * `JSON.stringify`, it never throws: circular references, BigInt, Map, Set,
+ * Buffer, Symbol keys, Dates and class instances are all supported, and the
+ * output is limited in depth and length.
+ */
+class Serializer {
+  /**
+   * @param {object=} options The options of the serializer.
+   * @param {number=} options.maxDepth The maximum depth of nested objects.
+   * @param {number=} options.maxLength The maximum amount of items of arrays,
+   * sets, maps and keys of objects.
+   * @param {number=} options.maxStringLength The maximum length of strings.
+   * @param {boolean=} options.trimStack If the stack frames coming from
+   * node_modules should be removed from the errors.
+   */
+  constructor({
+    maxDepth = 10,
+    maxLength = 100,
+    maxStringLength = 10000,
+    trimStack = false
+  } = {}) {
+    /**
+     * The maximum depth of nested objects.
+     * @type {number}
+     */
+    this.maxDepth = maxDepth;
+
+    /**
+     * The maximum amount of items or keys.
+     * @type {number}
+     */
+    this.maxLength = maxLength;
+
+    /**
+     * The maximum length of strings.
+     * @type {number}
+     */
+    this.maxStringLength = maxStringLength;
+
+    /**
+     * If the node_modules frames should be removed from the errors.
+     * @type {boolean}
+     */
+    this.trimStack = trimStack;
+
+    /**
+     * The custom serializers by type.
+     * @type {Array<{type: function|string, serializer: function}>}
+     * @private
+     */
+    this._serializers = [];
+  }
+
+  /**
+   * Registers a custom serializer for a type.
+   * @param {function|string} type The class (checked with instanceof) or the
+   * name of the type (e.g. `map`, `date`).
+   * @param {function} serializer A function that receives the value and
+   * returns its serializable representation.
+   * @returns {Serializer}
+   */
+  add(type, serializer) {
+    if (typeof serializer !== "function") {
+      throw new TypeError("The serializer must be a function.");
+    }
+    this._serializers.unshift({ type, serializer });
+    return this;
+  }
+
+  /**
+   * Converts a value into a JSON string.
+   * @param {*} value The value.
+   * @returns {string}
+   */
+  stringify(value) {
+    const serialized = this.serialize(value);
+    return serialized === undefined ? "undefined" : JSON.stringify(serialized);
+  }
+
+  /**
+   * Converts a value into data that is safe to convert into JSON.
+   * @param {*} value The value.
+   * @param {number=} depth The current depth.
+   * @param {Set=} ancestors The objects being serialized (for cycles).
+   * @param {boolean=} custom If the custom serializers should be used.
+   * @returns {*}
+   */
+  serialize(value, depth = 0, ancestors = new Set(), custom = true) {
+    const type = trueTypeOf(value);
+    const match =
+      custom &&
+      this._serializers.find(item =>
+        typeof item.type === "string"
+          ? item.type === type
+          : value instanceof item.type
+      );
+    if (match) {
+      return this.serialize(match.serializer(value), depth, ancestors, false);
+    }
+
+    switch (typeof value) {
+      case "string":
+        return value.length > this.maxStringLength
+          ? `${value.substr(0, this.maxStringLength)}... ${value.length -
+              this.maxStringLength} more characters`
+          : value;
+      case "bigint":
+        return `${value}n`;
+      case "symbol":
+        return value.toString();
+      case "function":
+        return `[Function${value.name ? ` ${value.name}` : ""}]`;
+      case "number":
+        return isFinite(value) ? value : String(value);
+      case "object":
+        break;
+      default:
+        return value;
+    }
+
+    if (value === null) {
+      return null;
+    }
+    if (ancestors.has(value)) {
+      return "[Circular]";
+    }
+    if (type === "date") {
+      return isNaN(value.getTime()) ? "Invalid Date" : value.toISOString();
+    }
+    if (type === "regexp") {
+      return value.toString();
+    }
+    if (typeof Buffer !== "undefined" && Buffer.isBuffer(value)) {
+      const bytes = Array.from(value.slice(0, this.maxLength)).map(byte =>
+        byte.toString(16).padStart(2, "0")
+      );
+      const more = value.length - bytes.length;
+      return `<Buffer ${bytes.join(" ")}${
+        more ? ` ... ${more} more bytes` : ""
+      }>`;
+    }
+    if (depth >= this.maxDepth) {
+      return Array.isArray(value) ? "[Array]" : "[Object]";
+    }
+
+    const nested = new Set(ancestors).add(value);
+    const next = item => this.serialize(item, depth + 1, nested);
+
+    if (type === "error") {
+      return this.serializeError(value, depth, ancestors);
+    }
+    if (typeof value.toJSON === "function") {
+      return this.serialize(value.toJSON(), depth, nested);
+    }
+    if (Array.isArray(value) || type === "set" || ArrayBuffer.isView(value)) {
+      const items = Array.from(value);
+      const list = items
+        .slice(0, this.maxLength)
+        .map(item => (item === undefined ? null : next(item)));
+      if (items.length > this.maxLength) {
+        list.push(`... ${items.length - this.maxLength} more items`);
+      }
+      return list;
+    }
+    if (type === "map") {
+      return this._limit(
+        Array.from(value).map(([key, item]) => [
+          typeof key === "string" ? key : String(this.stringify(key)),
+          item
+        ]),
+        next
+      );
+    }
+    return this._limit(
+      Object.keys(value)
+        .map(key => [key, value[key]])
+        .concat(
+          Object.getOwnPropertySymbols(value)
+            .filter(symbol =>
+              Object.prototype.propertyIsEnumerable.call(value, symbol)
+            )
+            .map(symbol => [symbol.toString(), value[symbol]])
+        ),
+      next
+    );
+  }
+
+  /**
+   * Converts an error into a serializable object, including its custom
+   * properties, its aggregated errors and its chain of causes.
+   * @param {Error} error The error.
+   * @param {number=} depth The current depth.
+   * @param {Set=} ancestors The objects being serialized (for cycles).
+   * @returns {object}
+   */
+  serializeError(error, depth = 0, ancestors = new Set()) {
+    const nested = new Set(ancestors).add(error);
+    const next = item => this.serialize(item, depth + 1, nested);
+    const props = errors.properties(error);
+    const result = {
+      name: error.name,
+      message: error.message,
+      stack:
+        this.trimStack && error.stack
+          ? errors.trimStack(error.stack)
+          : error.stack
+    };
+    Object.keys(props).forEach(key => {
+      result[key] = next(props[key]);
+    });
+    if (Array.isArray(error.errors)) {
+      result.errors = error.errors.map(next);
+    }
+    if (error.cause !== undefined) {
+      result.cause = next(error.cause);
+    }
+    return result;
+  }
+
+  /**
+   * Renders an error as text, including its custom properties, its
+   * aggregated errors and its chain of causes.
+   * @param {Error} error The error.
+   * @returns {string}
+   */
+  renderError(error) {
+    return errors.render(error, {
+      trim: this.trimStack,
+      stringify: value => this.stringify(value)
+    });
+  }
+
+  /**
+   * Builds an object out of key/value pairs respecting the maximum length.
+   * @param {Array[]} pairs The key/value pairs.
+   * @param {function} next The serializer of the values.
+   * @returns {object}
+   * @private
+   */
+  _limit(pairs, next) {
+    const result = {};
+    pairs.slice(0, this.maxLength).forEach(([key, item]) => {
+      const serialized = next(item);
+      if (serialized !== undefined) {
+        result[key] = serialized;
+      }
+    });
+    if (pairs.length > this.maxLength) {
+      result["..."] = `${pairs.length - this.maxLength} more keys`;
+    }
+    return result;
+  }
+}
+
+module.exports = Serializer;
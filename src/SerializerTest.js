@@ -0,0 +1,132 @@
+const Serializer = require("./Serializer");
+
+describe("Serializer", () => {
+  let serializer;
+
+  beforeEach(() => {
+    serializer = new Serializer({ maxDepth: 3, maxLength: 3 });
+  });
+
+  it("should serialize circular references", () => {
+    const value = { name: "req", list: [] };
+    value.self = value;
+    value.list.push(value);
+    expect(serializer.serialize(value)).toEqual({
+      name: "req",
+      list: ["[Circular]"],
+      self: "[Circular]"
+    });
+    const shared = { a: 1 };
+    expect(serializer.serialize([shared, shared])).toEqual([
+      { a: 1 },
+      { a: 1 }
+    ]);
+  });
+
+  it("should serialize special types", () => {
+    const symbol = Symbol("id");
+    class User {
+      constructor() {
+        this.name = "Jo";
+        this[symbol] = 1;
+      }
+    }
+    expect(
+      new Serializer().serialize({
+        big: BigInt(10),
+        map: new Map([
+          ["a", 1],
+          [2, "b"]
+        ]),
+        set: new Set([1, 2]),
+        buffer: Buffer.from("hi"),
+        date: new Date(0),
+        user: new User(),
+        fn: function named() {},
+        nan: NaN,
+        undef: undefined
+      })
+    ).toEqual({
+      big: "10n",
+      map: { a: 1, 2: "b" },
+      set: [1, 2],
+      buffer: "<Buffer 68 69>",
+      date: "1970-01-01T00:00:00.000Z",
+      user: { name: "Jo", "Symbol(id)": 1 },
+      fn: "[Function named]",
+      nan: "NaN"
+    });
+  });
+
+  it("should limit the depth and length", () => {
+    expect(serializer.serialize({ a: { b: { c: { d: 1 } } } })).toEqual({
+      a: { b: { c: "[Object]" } }
+    });
+    expect(serializer.serialize([1, 2, 3, 4, 5])).toEqual([
+      1,
+      2,
+      3,
+      "... 2 more items"
+    ]);
+    expect(new Serializer({ maxStringLength: 2 }).serialize("abcd")).toBe(
+      "ab... 2 more characters"
+    );
+  });
+
+  it("should use the custom serializers", () => {
+    class Point {
+      constructor(x, y) {
+        this.x = x;
+        this.y = y;
+      }
+    }
+    serializer
+      .add(Point, point => `(${point.x}, ${point.y})`)
+      .add("map", map => map.size);
+    expect(serializer.stringify([new Point(1, 2), new Map()])).toBe(
+      '["(1, 2)",0]'
+    );
+    expect(() => serializer.add(Point)).toThrowError(TypeError);
+  });
+
+  it("should serialize and render errors with their causes", () => {
+    if (typeof AggregateError === "undefined") {
+      pending("AggregateError needs node 15 or later.");
+    }
+    if (!("cause" in new Error("", { cause: null }))) {
+      pending("Error causes need node 16.9 or later.");
+    }
+    const cause = new Error("Connection refused");
+    cause.code = "ECONNREFUSED";
+    const error = new Error("Query failed", { cause });
+    error.statusCode = 503;
+    const aggregate = new AggregateError([error, "plain"], "Batch failed");
+    const serialized = new Serializer().serialize(aggregate);
+    expect(serialized.message).toBe("Batch failed");
+    expect(serialized.errors[0].statusCode).toBe(503);
+    expect(serialized.errors[0].cause.code).toBe("ECONNREFUSED");
+    expect(serialized.errors[1]).toBe("plain");
+    const text = new Serializer().renderError(error);
+    expect(text.split("\n")[0]).toBe('Error: Query failed {"statusCode":503}');
+    expect(text).toContain(
+      'Caused by: Error: Connection refused {"code":"ECONNREFUSED"}'
+    );
+    expect(new Serializer().renderError(aggregate)).toContain(
+      "    [0] Error: Query failed"
+    );
+  });
+
+  it("should trim the node_modules frames", () => {
+    const error = new Error("Trimmed");
+    error.stack = [
+      "Error: Trimmed",
+      "    at run (/app/node_modules/lib/index.js:1:1)",
+      "    at main (/app/src/main.js:1:1)"
+    ].join("\n");
+    const serializer = new Serializer({ trimStack: true });
+    expect(serializer.serializeError(error).stack).toBe(
+      "Error: Trimmed\n    at main (/app/src/main.js:1:1)"
+    );
+    expect(serializer.renderError(error)).not.toContain("node_modules");
+  });
+});
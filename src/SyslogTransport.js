@@ -0,0 +1,519 @@
+const Transport = require("./Transport");
+const dgram = require("dgram");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+/**
+ * The syslog facilities by name.
+ *
+ * @type {object}
+ */
+const FACILITIES = {
+  kern: 0,
+  user: 1,
+  mail: 2,
+  daemon: 3,
+  auth: 4,
+  syslog: 5,
+  lpr: 6,
+  news: 7,
+  uucp: 8,
+  cron: 9,
+  authpriv: 10,
+  ftp: 11,
+  local0: 16,
+  local1: 17,
+  local2: 18,
+  local3: 19,
+  local4: 20,
+  local5: 21,
+  local6: 22,
+  local7: 23
+};
+
+/**
+ * The syslog severities of the built-in levels.
+ *
+ * @type {object}
+ */
+const SEVERITIES = {
+  error: 3,
+  warn: 4,
+  highlight: 5,
+  info: 6,
+  log: 6,
+  debug: 7,
+  deepDebug: 7
+};
+
+/**
+ * The nil value of the header fields and the structured data.
+ *
+ * @type {string}
+ * @private
+ */
+const NIL = "-";
+
+/**
+ * Turns a value into a header field: printable ASCII without spaces and
+ * limited in length.
+ * @param {*} value The value.
+ * @param {number} max The maximum length.
+ * @returns {string}
+ * @private
+ */
+const field = (value, max) =>
+  String(value || "")
+    .replace(/[^\x21-\x7e]/g, "_")
+    .substr(0, max) || NIL;
+
+/**
+ * Turns a key into a parameter name of the structured data.
+ * @param {string} key The key.
+ * @returns {string}
+ * @private
+ */
+const paramName = key =>
+  key.replace(/[^\x21-\x7e]|[= \]"]/g, "_").substr(0, 32);
+
+/**
+ * Escapes a value of the structured data.
+ * @param {*} value The value.
+ * @returns {string}
+ * @private
+ */
+const escape = value =>
+  (typeof value === "string" ? value : JSON.stringify(value)).replace(
+    /["\\\]]/g,
+    "\\$&"
+  );
+
+/**
+ * A transport that sends the entries to a syslog server as RFC 5424
+ * messages, over UDP, TCP (reconnecting when the connection is lost) or a
+ * local Unix stream socket. Messages sent over streams are framed by octet
+ * counting (RFC 6587) unless the framing is set to `newline`.
+ *
+ * Unix datagram sockets are not supported by node, so `/dev/log` can only be
+ * used where it is a stream socket (e.g. with `imuxsock` configured to
+ * listen on a stream socket). While the server cannot be reached the
+ * messages are queued, up to `maxQueue`, and written once it reconnects.
+ */
+class SyslogTransport extends Transport {
+  /**
+   * @param {object=} options The options of the transport.
+   * @param {string=} options.protocol The protocol: `udp`, `tcp` or `unix`.
+   * @param {string=} options.host The host of the server.
+   * @param {number=} options.port The port of the server.
+   * @param {string=} options.path The path of the Unix stream socket.
+   * Required by the `unix` protocol.
+   * @param {string|number=} options.facility The facility of the messages.
+   * @param {string=} options.appName The name of the application.
+   * @param {string=} options.hostname The name of the host sending.
+   * @param {string=} options.msgId The id of the messages. Defaults to the
+   * namespace of the entries.
+   * @param {string=} options.sdId The id of the structured data element
+   * holding the context fields.
+   * @param {string=} options.framing The framing over streams: `octet` or
+   * `newline`.
+   * @param {number=} options.maxQueue The maximum amount of messages queued
+   * while disconnected. The oldest ones are dropped.
+   * @param {number=} options.flushTimeout The maximum milliseconds a flush
+   * waits for the queued messages to be written.
+   * @see Transport
+   */
+  constructor(options = {}) {
+    super(Object.assign({ name: "syslog", boring: true }, options));
+
+    /**
+     * The protocol used.
+     * @type {string}
+     */
+    this.protocol = options.protocol || "udp";
+
+    if (!["udp", "tcp", "unix"].includes(this.protocol)) {
+      throw new TypeError(`Unknown syslog protocol '${this.protocol}'.`);
+    }
+
+    /**
+     * The host of the server.
+     * @type {string}
+     */
+    this.host = options.host || "127.0.0.1";
+
+    /**
+     * The port of the server.
+     * @type {number}
+     */
+    this.port = options.port || 514;
+
+    /**
+     * The path of the Unix stream socket.
+     * @type {string|null}
+     */
+    this.path = options.path || null;
+
+    if (this.protocol === "unix" && !this.path) {
+      throw new TypeError("The unix protocol requires the path of a socket.");
+    }
+
+    /**
+     * The facility of the messages.
+     * @type {number}
+     */
+    this.facility =
+      typeof options.facility === "number"
+        ? options.facility
+        : FACILITIES[options.facility || "user"];
+
+    if (this.facility === undefined) {
+      throw new TypeError(`Unknown syslog facility '${options.facility}'.`);
+    }
+
+    /**
+     * The name of the application.
+     * @type {string}
+     */
+    this.appName =
+      options.appName ||
+      (process.argv[1]
+        ? path.basename(process.argv[1], path.extname(process.argv[1]))
+        : process.title);
+
+    /**
+     * The name of the host sending.
+     * @type {string}
+     */
+    this.hostname = options.hostname || os.hostname();
+
+    /**
+     * The id of the messages.
+     * @type {string}
+     */
+    this.msgId = options.msgId || "";
+
+    /**
+     * The id of the structured data element of the context.
+     * @type {string}
+     */
+    this.sdId = options.sdId || "context@32473";
+
+    /**
+     * The framing over streams.
+     * @type {string}
+     */
+    this.framing = options.framing || "octet";
+
+    /**
+     * The maximum amount of messages queued while disconnected.
+     * @type {number}
+     */
+    this.maxQueue = options.maxQueue || 1000;
+
+    /**
+     * The maximum milliseconds a flush waits for the queued messages.
+     * @type {number}
+     */
+    this.flushTimeout = options.flushTimeout || 5000;
+
+    /**
+     * The amount of messages dropped.
+     * @type {number}
+     */
+    this.dropped = 0;
+
+    /**
+     * The last error of the socket.
+     * @type {Error|null}
+     */
+    this.lastError = null;
+
+    /**
+     * The socket to the server.
+     * @type {dgram.Socket|net.Socket|null}
+     * @private
+     */
+    this._socket = null;
+
+    /**
+     * If the stream socket is connected.
+     * @type {boolean}
+     * @private
+     */
+    this._connected = false;
+
+    /**
+     * The messages waiting for the stream to connect.
+     * @type {Buffer[]}
+     * @private
+     */
+    this._queue = [];
+
+    /**
+     * The sends and writes in progress.
+     * @type {Set<Promise>}
+     * @private
+     */
+    this._pending = new Set();
+
+    /**
+     * The flushes waiting for the queue to be written.
+     * @type {function[]}
+     * @private
+     */
+    this._waiting = [];
+
+    /**
+     * The milliseconds to wait before reconnecting.
+     * @type {number}
+     * @private
+     */
+    this._delay = 100;
+
+    /**
+     * The timer of the reconnection.
+     * @type {*}
+     * @private
+     */
+    this._reconnect = null;
+
+    /**
+     * If the transport was closed.
+     * @type {boolean}
+     * @private
+     */
+    this._closed = false;
+  }
+
+  /**
+   * The syslog facilities by name.
+   * @returns {object}
+   */
+  static get facilities() {
+    return FACILITIES;
+  }
+
+  /**
+   * The syslog severities of the built-in levels.
+   * @returns {object}
+   */
+  static get severities() {
+    return SEVERITIES;
+  }
+
+  /**
+   * Obtains the syslog severity of an entry. Custom levels are mapped by
+   * their position between the built-in levels.
+   * @param {object} entry The log entry.
+   * @returns {number}
+   */
+  severityOf(entry) {
+    if (SEVERITIES[entry.levelName] !== undefined) {
+      return SEVERITIES[entry.levelName];
+    }
+    const level = entry.level;
+    return [0, 1, 2, 4].reduce(
+      (severity, limit) => (level > limit ? severity + 1 : severity),
+      level < 0 ? 2 : 3
+    );
+  }
+
+  /**
+   * Formats an entry as an RFC 5424 message.
+   * @param {object} entry The log entry.
+   * @returns {string}
+   */
+  formatMessage(entry) {
+    const priority = this.facility * 8 + this.severityOf(entry);
+    const context = Object.assign({}, entry.context, entry.fields);
+    const params = Object.keys(context)
+      .filter(key => context[key] !== undefined)
+      .map(key => `${paramName(key)}="${escape(context[key])}"`);
+    const structured = params.length
+      ? `[${this.sdId} ${params.join(" ")}]`
+      : NIL;
+    return [
+      `<${priority}>1`,
+      new Date(entry.time).toISOString(),
+      field(this.hostname, 255),
+      field(this.appName, 48),
+      field(process.pid, 128),
+      field(this.msgId || entry.namespace, 32),
+      structured,
+      this.formatText(Object.assign({}, entry, { context: {} }), false)
+    ].join(" ");
+  }
+
+  /**
+   * Sends an entry to the server.
+   * @param {object} entry The log entry.
+   */
+  write(entry) {
+    const message = this.formatMessage(entry);
+    if (this.protocol === "udp") {
+      this._send(Buffer.from(message));
+      return;
+    }
+    const frame =
+      this.framing === "newline"
+        ? `${message.replace(/\n/g, " ")}\n`
+        : `${Buffer.byteLength(message)} ${message}`;
+    this._queue.push(Buffer.from(frame));
+    if (this._queue.length > this.maxQueue) {
+      this._queue.shift();
+      this.dropped++;
+    }
+    this._drain();
+  }
+
+  /**
+   * Waits for the queued messages to be written, up to the flush timeout,
+   * and for the messages in progress to be sent.
+   * @returns {Promise}
+   */
+  flush() {
+    let timer;
+    const drained = new Promise(resolve => {
+      this._waiting.push(resolve);
+      timer = setTimeout(resolve, this.flushTimeout);
+      this._notify();
+    });
+    return drained
+      .then(() => {
+        clearTimeout(timer);
+        return Promise.all(Array.from(this._pending));
+      })
+      .then(() => undefined);
+  }
+
+  /**
+   * Closes the socket to the server.
+   */
+  close() {
+    this._closed = true;
+    clearTimeout(this._reconnect);
+    this._waiting.splice(0).forEach(resolve => resolve());
+    if (this._socket) {
+      if (this.protocol === "udp") {
+        this._socket.close();
+      } else {
+        this._socket.end();
+      }
+      this._socket = null;
+    }
+  }
+
+  /**
+   * Tracks a write in progress.
+   * @param {function} fn Receives the callback of the write.
+   * @private
+   */
+  _track(fn) {
+    const pending = new Promise(resolve => fn(resolve));
+    this._pending.add(pending);
+    pending.then(() => this._pending.delete(pending));
+  }
+
+  /**
+   * Sends a datagram.
+   * @param {Buffer} message The message.
+   * @private
+   */
+  _send(message) {
+    if (!this._socket) {
+      this._socket = dgram.createSocket(
+        net.isIPv6(this.host) ? "udp6" : "udp4"
+      );
+      this._socket.on("error", error => {
+        this.lastError = error;
+        this.dropped++;
+      });
+      this._socket.unref();
+    }
+    this._track(done =>
+      this._socket.send(message, this.port, this.host, error => {
+        if (error) {
+          this.lastError = error;
+          this.dropped++;
+        }
+        done();
+      })
+    );
+  }
+
+  /**
+   * Resolves the flushes waiting once the queue is empty.
+   * @private
+   */
+  _notify() {
+    if (!this._queue.length) {
+      this._waiting.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  /**
+   * Writes the queued messages into the stream, connecting when needed.
+   * @private
+   */
+  _drain() {
+    if (!this._socket && !this._reconnect && !this._closed) {
+      this._connect();
+    }
+    if (!this._connected) {
+      return;
+    }
+    const socket = this._socket;
+    while (this._queue.length) {
+      const message = this._queue.shift();
+      this._track(done =>
+        socket.write(message, error => {
+          if (error) {
+            this.lastError = error;
+            this.dropped++;
+          }
+          done();
+        })
+      );
+    }
+    this._notify();
+  }
+
+  /**
+   * Connects the stream socket, reconnecting with an exponential backoff
+   * when it fails or gets closed.
+   * @private
+   */
+  _connect() {
+    const socket =
+      this.protocol === "unix"
+        ? net.connect(this.path)
+        : net.connect(this.port, this.host);
+    this._socket = socket;
+    socket.unref();
+    socket.on("connect", () => {
+      this._connected = true;
+      this._delay = 100;
+      this._drain();
+    });
+    socket.on("error", error => {
+      this.lastError = error;
+    });
+    socket.on("close", () => {
+      this._connected = false;
+      if (this._socket === socket) {
+        this._socket = null;
+      }
+      if (!this._closed) {
+        this._reconnect = setTimeout(() => {
+          this._reconnect = null;
+          this._connect();
+        }, this._delay);
+        this._reconnect.unref();
+        this._delay = Math.min(this._delay * 2, 30000);
+      }
+    });
+  }
+}
+
+module.exports = SyslogTransport;
@@ -0,0 +1,238 @@
+const { loadLogger } = require("./testing");
+const Logger = loadLogger();
+const SyslogTransport = require("./SyslogTransport");
+const dgram = require("dgram");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+let logger;
+let transport;
+
+/**
+ * Creates a logger sending to syslog.
+ * @param {object} options The options of the transport.
+ */
+const syslog = options => {
+  transport = new SyslogTransport(
+    Object.assign({ appName: "api", hostname: "web1" }, options)
+  );
+  logger = Logger.getLogger("info", false, { transports: [transport] });
+};
+
+/**
+ * Starts a stream server collecting what it receives.
+ * @param {function} callback Receives the server and a function that
+ * obtains the data received.
+ * @returns {net.Server}
+ */
+const streamServer = callback => {
+  let data = "";
+  const server = net.createServer(socket =>
+    socket.on("data", chunk => (data += chunk))
+  );
+  callback(server, () => data);
+  return server;
+};
+
+describe("SyslogTransport", () => {
+  afterEach(() => transport && transport.close());
+
+  it("should validate the options", () => {
+    expect(() => new SyslogTransport({ protocol: "smtp" })).toThrowError(
+      TypeError
+    );
+    expect(() => new SyslogTransport({ facility: "nope" })).toThrowError(
+      TypeError
+    );
+    expect(() => new SyslogTransport({ protocol: "unix" })).toThrowError(
+      TypeError
+    );
+  });
+
+  it("should format RFC 5424 messages", () => {
+    syslog({ facility: "local0" });
+    const entry = {
+      level: 3,
+      levelName: "info",
+      time: Date.UTC(2020, 0, 1),
+      namespace: "db:pool",
+      context: { requestId: "r1", "bad key": 'a"b]' },
+      fields: { status: 200 }
+    };
+    spyOn(transport, "formatText").and.returnValue("[INF] Connected");
+    expect(transport.formatMessage(entry)).toBe(
+      `<134>1 2020-01-01T00:00:00.000Z web1 api ${process.pid} db:pool ` +
+        '[context@32473 requestId="r1" bad_key="a\\"b\\]" status="200"] ' +
+        "[INF] Connected"
+    );
+    expect(
+      transport.formatMessage(
+        Object.assign({}, entry, { context: {}, fields: null, namespace: "" })
+      )
+    ).toMatch(/ api \d+ - - \[INF] Connected$/);
+  });
+
+  it("should map the levels to the syslog severities", () => {
+    syslog();
+    const severity = (levelName, level) =>
+      transport.severityOf({ levelName, level });
+    expect(
+      [
+        "error",
+        "warn",
+        "highlight",
+        "info",
+        "log",
+        "debug",
+        "deepDebug"
+      ].map(name => severity(name, Logger.severity(name)))
+    ).toEqual([3, 4, 5, 6, 6, 7, 7]);
+    expect(severity("fatal", -1)).toBe(2);
+    expect(severity("notice", 2.5)).toBe(6);
+    expect(severity("trace", 5.5)).toBe(7);
+  });
+
+  it("should send the messages over UDP", done => {
+    const server = dgram.createSocket("udp4");
+    server.on("message", message => {
+      expect(message.toString()).toMatch(
+        /^<12>1 \S+ web1 api \d+ - - \[WRN] Disk almost full$/
+      );
+      server.close(done);
+    });
+    server.bind(0, "127.0.0.1", () => {
+      syslog({ port: server.address().port });
+      logger.warn("Disk almost full");
+    });
+  });
+
+  it("should send framed messages over TCP and reconnect", done => {
+    let received;
+    const server = streamServer((server, data) => (received = data));
+    server.listen(0, "127.0.0.1", () => {
+      const port = server.address().port;
+      syslog({ protocol: "tcp", port });
+      logger.error("First");
+      logger.error("Second");
+      setTimeout(() => {
+        const frames = [];
+        let data = Buffer.from(received());
+        while (data.length) {
+          const space = data.indexOf(" ");
+          const length = Number(data.slice(0, space));
+          frames.push(data.slice(space + 1, space + 1 + length).toString());
+          data = data.slice(space + 1 + length);
+        }
+        expect(frames.length).toBe(2);
+        expect(frames[0]).toMatch(/^<11>1 .* \[ERR] First$/);
+        expect(frames[1]).toMatch(/^<11>1 .* \[ERR] Second$/);
+        transport._socket.destroy();
+        setTimeout(() => {
+          logger.error("Third");
+          setTimeout(() => {
+            expect(received()).toContain("[ERR] Third");
+            server.close(done);
+            transport.close();
+          }, 300);
+        }, 50);
+      }, 100);
+    });
+  });
+
+  it("should wait for the queued messages when flushing", done => {
+    let received;
+    const server = streamServer((server, data) => (received = data));
+    server.listen(0, "127.0.0.1", () => {
+      syslog({ protocol: "tcp", port: server.address().port });
+      logger.info("Queued");
+      expect(transport._queue.length).toBe(1);
+      transport.flush().then(() => {
+        expect(transport._queue.length).toBe(0);
+        setTimeout(() => {
+          expect(received()).toContain("[INF] Queued");
+          transport.close();
+          server.close(done);
+        }, 50);
+      });
+    });
+  });
+
+  it("should keep the queued messages when it cannot connect", done => {
+    syslog({ protocol: "tcp", port: 1, flushTimeout: 50, maxQueue: 2 });
+    logger.info("Nowhere");
+    logger.info("Still nowhere");
+    logger.info("Not yet");
+    transport.flush().then(() => {
+      expect(transport._queue.length).toBe(2);
+      expect(transport.dropped).toBe(1);
+      expect(transport.lastError.code).toBe("ECONNREFUSED");
+      transport.close();
+      done();
+    });
+  });
+
+  it("should send the messages queued while the server restarts", done => {
+    const sockets = [];
+    let received = "";
+    const start = (port, callback) => {
+      const server = net.createServer(socket => {
+        sockets.push(socket);
+        socket.on("data", chunk => (received += chunk));
+      });
+      server.listen(port, "127.0.0.1", () => callback(server));
+    };
+    start(0, server => {
+      const port = server.address().port;
+      syslog({ protocol: "tcp", port, framing: "newline" });
+      logger.info("First");
+      setTimeout(() => {
+        server.close();
+        sockets.splice(0).forEach(socket => socket.destroy());
+        setTimeout(() => {
+          logger.info("During outage");
+          logger.info("After restart");
+          setTimeout(
+            () =>
+              start(port, restarted =>
+                transport.flush().then(() =>
+                  setTimeout(() => {
+                    expect(
+                      received.split("\n").map(line => line.split(" ").pop())
+                    ).toEqual(["First", "outage", "restart", ""]);
+                    expect(transport.dropped).toBe(0);
+                    transport.close();
+                    restarted.close(done);
+                  }, 50)
+                )
+              ),
+            150
+          );
+        }, 50);
+      }, 50);
+    });
+  });
+
+  it("should send the messages over a Unix socket", done => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ezzy-logger-"));
+    const socketPath = path.join(dir, "log.sock");
+    let received;
+    const server = streamServer((server, data) => (received = data));
+    server.listen(socketPath, () => {
+      syslog({ protocol: "unix", path: socketPath, framing: "newline" });
+      logger.child({ job: "sync" }).info("Done");
+      transport.flush().then(() =>
+        setTimeout(() => {
+          expect(received()).toMatch(
+            /^<14>1 .* \[context@32473 job="sync"] \[INF] Done\n$/
+          );
+          transport.close();
+          server.close(() => {
+            fs.rmdirSync(dir);
+            done();
+          });
+        }, 50)
+      );
+    });
+  });
+});
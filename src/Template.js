@@ -0,0 +1,240 @@
+const os = require("os");
+const timestamps = require("./timestamps");
+
+/**
+ * The hostname of the machine.
+ *
+ * @type {string}
+ * @private
+ */
+const HOSTNAME = (() => {
+  try {
+    return os.hostname();
+  } catch (e) {
+    return "";
+  }
+})();
+
+/**
+ * Matches the tokens of a template: `{name:modifier}`, optionally wrapped in
+ * brackets (`[{namespace}]`) to drop the brackets when the value is empty.
+ *
+ * @type {RegExp}
+ * @private
+ */
+const TOKEN = /(\[?)\{([\w.]+)((?::[\w-]+)*)\}(\]?)/g;
+
+/**
+ * Stringifies a value for a template.
+ * @param {*} value The value.
+ * @param {Serializer} serializer The serializer of objects.
+ * @returns {string}
+ * @private
+ */
+const text = (value, serializer) =>
+  value === null || value === undefined
+    ? ""
+    : typeof value === "string"
+    ? value
+    : serializer.stringify(value);
+
+/**
+ * The built-in tokens. Each one receives the entry, the first modifier and
+ * the serializer, and returns the value of the token.
+ *
+ * @type {object}
+ * @private
+ */
+const _tokens = {
+  time: (entry, format) =>
+    timestamps.format(entry.time, timestamps.FORMATS[format] ? format : "iso", {
+      timeZone: entry.timeZone,
+      previous: entry.previousTime
+    }),
+  level: entry => (entry.levelName || "").toUpperCase(),
+  type: entry => entry.logType,
+  namespace: entry => entry.namespace,
+  title: entry => entry.title || entry.groupTitle,
+  message: (entry, format, serializer) => text(entry.message, serializer),
+  text: entry => entry.text,
+  data: (entry, format, serializer) => text(entry.data, serializer),
+  error: entry => entry.stack,
+  duration: entry =>
+    entry.duration === null || entry.duration === undefined
+      ? ""
+      : `${entry.duration}ms`,
+  pid: () => (typeof process !== "undefined" ? String(process.pid) : ""),
+  hostname: () => HOSTNAME,
+  callsite: entry => entry.callSite,
+  group: entry => entry.groupTitle,
+  prefix: entry => entry.loggerPrefix,
+  context: (entry, format, serializer) =>
+    Object.keys(entry.context)
+      .map(key => `${key}=${text(entry.context[key], serializer)}`)
+      .join(" ")
+};
+
+/**
+ * Applies a modifier (`upper`, `lower`, `padN`, `lpadN`) to a value.
+ * @param {string} value The value.
+ * @param {string} modifier The modifier.
+ * @returns {string}
+ * @private
+ */
+const modify = (value, modifier) => {
+  const [, name, size] = /^([a-z]+)(\d*)$/i.exec(modifier) || [];
+  switch (name) {
+    case "upper":
+      return value.toUpperCase();
+    case "lower":
+      return value.toLowerCase();
+    case "pad":
+      return value.padEnd(Number(size));
+    case "lpad":
+      return value.padStart(Number(size));
+    default:
+      return value;
+  }
+};
+
+/**
+ * A text layout of the entries, such as
+ * `{time:iso} {level:pad5} [{namespace}] {message} {data}`.
+ *
+ * Tokens are written as `{name}` with optional modifiers (`{level:lower}`,
+ * `{type:pad5}`). The time accepts any timestamp format (`{time:local}`,
+ * `{time:delta}`). Names that are not built-in tokens are looked up in the
+ * fields and the context of the entry (`{requestId}`, `{context.user}`).
+ */
+class Template {
+  /**
+   * @param {string} template The template.
+   */
+  constructor(template) {
+    if (typeof template !== "string") {
+      throw new TypeError("The template must be a string.");
+    }
+
+    /**
+     * The template.
+     * @type {string}
+     */
+    this.template = template;
+
+    /**
+     * The literal texts and the tokens of the template, alternated.
+     * @type {Array<string|object>}
+     * @private
+     */
+    this._parts = [];
+
+    let last = 0;
+    template.replace(TOKEN, (match, open, name, modifiers, close, index) => {
+      const wrapped = open && close;
+      this._parts.push(
+        template.substring(last, index) + (wrapped ? "" : open),
+        {
+          name,
+          modifiers: modifiers.split(":").slice(1),
+          wrapped
+        }
+      );
+      if (!wrapped && close) {
+        this._parts.push(close);
+      }
+      last = index + match.length;
+    });
+    this._parts.push(template.substring(last));
+  }
+
+  /**
+   * Registers a custom token.
+   * @param {string} name The name of the token.
+   * @param {function} fn Receives the entry, the first modifier and the
+   * serializer, and returns the value of the token.
+   */
+  static addToken(name, fn) {
+    if (typeof fn !== "function") {
+      throw new TypeError("The token must be a function.");
+    }
+    _tokens[name] = fn;
+  }
+
+  /**
+   * The names of the registered tokens.
+   * @returns {string[]}
+   */
+  static get tokens() {
+    return Object.keys(_tokens);
+  }
+
+  /**
+   * Checks if the template uses a token.
+   * @param {string} name The name of the token.
+   * @returns {boolean}
+   */
+  uses(name) {
+    return this._parts.some(part => part.name === name);
+  }
+
+  /**
+   * Renders an entry. Tokens without a value are removed along with their
+   * brackets and the space next to them.
+   * @param {object} entry The log entry.
+   * @param {Serializer} serializer The serializer of objects.
+   * @returns {string}
+   */
+  render(entry, serializer) {
+    let output = "";
+    let trim = false;
+    this._parts.forEach(part => {
+      if (typeof part === "string") {
+        output += trim && /^\s/.test(part) ? part.substr(1) : part;
+        trim = false;
+        return;
+      }
+      const value = this._value(entry, part, serializer);
+      if (value === "") {
+        trim = !output || /\s$/.test(output);
+        return;
+      }
+      output += part.wrapped ? `[${value}]` : value;
+    });
+    return output.trimEnd();
+  }
+
+  /**
+   * Obtains the value of a token.
+   * @param {object} entry The log entry.
+   * @param {object} part The token.
+   * @param {Serializer} serializer The serializer of objects.
+   * @returns {string}
+   * @private
+   */
+  _value(entry, part, serializer) {
+    const [format] = part.modifiers;
+    let value;
+    if (_tokens[part.name]) {
+      value = _tokens[part.name](entry, format, serializer);
+    } else {
+      const [scope, key] = part.name.split(".");
+      const source = key
+        ? scope === "context"
+          ? entry.context
+          : scope === "fields"
+          ? entry.fields
+          : null
+        : Object.assign({}, entry.context, entry.fields);
+      value = source ? source[key || scope] : undefined;
+    }
+    value = text(value, serializer);
+    return value === ""
+      ? ""
+      : part.modifiers.reduce(
+          (result, modifier) => modify(result, modifier),
+          value
+        );
+  }
+}
+
+module.exports = Template;
@@ -0,0 +1,82 @@
+const { loadLogger, memoryLogger } = require("./testing");
+const Logger = loadLogger();
+const Template = require("./Template");
+let logger;
+let memory;
+
+describe("Template", () => {
+  beforeEach(() => {
+    ({ logger, memory } = memoryLogger(Logger));
+  });
+
+  it("should require a string", () => {
+    expect(() => new Template()).toThrowError(TypeError);
+  });
+
+  it("should render the tokens with their modifiers", () => {
+    logger.template = "{time:iso} {level:pad5}|{type:lower} {message} {data}";
+    logger.info("Title", "Saved", { id: 1 });
+    expect(memory.lines[0]).toMatch(
+      /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z INFO \|inf Saved {"id":1}$/
+    );
+  });
+
+  it("should drop the empty tokens with their brackets", () => {
+    logger.template = "{level} [{namespace}] [{title}] {message} {data}";
+    logger.warn("Careful");
+    logger.child().warn("Title", "Careful");
+    expect(memory.lines).toEqual(["WARN Careful", "WARN [Title] Careful"]);
+  });
+
+  it("should look up the context and the fields", () => {
+    logger.template = "{requestId} {context.user} {fields.status} {message}";
+    logger
+      .child({ requestId: "r1", user: "ann" })
+      .info({ message: "Done", fields: { status: 200 } });
+    expect(memory.lines[0]).toBe("r1 ann 200 Done");
+  });
+
+  it("should render the process tokens and the call site", () => {
+    logger.template = "{pid} {hostname} {message} ({callsite})";
+    logger.info("Hello");
+    expect(memory.lines[0]).toMatch(
+      new RegExp(
+        `^${
+          process.pid
+        } ${require("os").hostname()} Hello \\(TemplateTest.js \\d+:\\d+\\)$`
+      )
+    );
+  });
+
+  it("should render the time as epoch and relative to the start", () => {
+    logger.template = "{time:epoch} {time:relative}";
+    logger.info("Hello");
+    expect(memory.lines[0]).toMatch(/^\d{13} \+\d+ms$/);
+  });
+
+  it("should append the stack unless the template renders the errors", () => {
+    logger.template = "{level} {message}";
+    logger.error(new Error("Broken"));
+    expect(memory.lines[0]).toMatch(/^ERROR Broken\nError: Broken\n\s+at /);
+  });
+
+  it("should use the template of the transport", () => {
+    const other = new Logger.MemoryTransport({
+      template: "{type} {group} {context}: {message} {duration}"
+    });
+    logger.addTransport(other);
+    logger.context = { job: 7 };
+    logger.groupStart("Jobs");
+    logger.info({ message: "Ran", duration: 5 });
+    expect(other.lines[0]).toBe("  INF Jobs job=7: Ran 5ms");
+    expect(memory.lines[0]).toBe("  [INF] [job=7] [Jobs] Ran ⏱ 5ms");
+  });
+
+  it("should register custom tokens", () => {
+    Template.addToken("service", () => "billing");
+    logger.template = "{service} {message}";
+    logger.info("Hello");
+    expect(memory.lines[0]).toBe("billing Hello");
+    expect(Template.tokens).toContain("service");
+  });
+});
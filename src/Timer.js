@@ -0,0 +1,70 @@
+/**
+ * The high resolution clock (in nanoseconds) when available.
+ *
+ * @type {function|null}
+ * @private
+ */
+const hrtime =
+  typeof process !== "undefined" && process.hrtime && process.hrtime.bigint
+    ? process.hrtime.bigint
+    : null;
+
+/**
+ * A handle that measures the time elapsed since it started and logs it.
+ */
+class Timer {
+  /**
+   * @param {Logger} logger The logger that will log the duration.
+   * @param {string=} label The label of the timer.
+   */
+  constructor(logger, label = "") {
+    /**
+     * The logger that will log the duration.
+     * @type {Logger}
+     */
+    this.logger = logger;
+
+    /**
+     * The label of the timer.
+     * @type {string}
+     */
+    this.label = label;
+
+    /**
+     * The start of the timer.
+     * @type {bigint|number}
+     * @private
+     */
+    this._start = hrtime ? hrtime() : Date.now();
+  }
+
+  /**
+   * Obtains the milliseconds elapsed since the timer started.
+   * @returns {number}
+   */
+  elapsed() {
+    const ms = hrtime
+      ? Number(hrtime() - this._start) / 1e6
+      : Date.now() - this._start;
+    return Math.round(ms * 1000) / 1000;
+  }
+
+  /**
+   * Logs the time elapsed.
+   * @param {string|object=} message The message or the configuration of the
+   * log entry.
+   * @param {string=} level The level of the log entry.
+   * @returns {number} The milliseconds elapsed.
+   */
+  done(message = this.label || "Timer completed", level = "info") {
+    const duration = this.elapsed();
+    this.logger[level](
+      Object.assign({}, typeof message === "string" ? { message } : message, {
+        duration
+      })
+    );
+    return duration;
+  }
+}
+
+module.exports = Timer;
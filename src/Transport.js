@@ -0,0 +1,154 @@
+const Template = require("./Template");
+
+/**
+ * The base of every transport (sink) of the logger. A transport receives the
+ * entries that passed the level of the logger and writes them somewhere.
+ * Extend it and implement the `write` method to create a new destination.
+ */
+class Transport {
+  /**
+   * @param {object=} options The options of the transport.
+   * @param {string=} options.name The name used to find/remove the transport.
+   * @param {string|number=} options.level The minimum level to accept. When
+   * not defined, every entry accepted by the logger will be written.
+   * @param {function=} options.formatter A custom formatter that receives the
+   * entry and returns a string or an array of lines.
+   * @param {string|Template=} options.template The text layout of the
+   * entries. Defaults to the logger's setting.
+   * @param {boolean=} options.boring If the formatted output should have no
+   * colors. Defaults to the logger's setting.
+   * @param {boolean=} options.json If the output should be JSON. Defaults to
+   * the logger's setting.
+   */
+  constructor({
+    name = "",
+    level = null,
+    formatter = null,
+    template = null,
+    boring,
+    json
+  } = {}) {
+    /**
+     * The name of the transport.
+     * @type {string}
+     */
+    this.name = name;
+
+    /**
+     * The minimum level of the entries to write.
+     * @type {string|number|null}
+     */
+    this.level = level;
+
+    /**
+     * The custom formatter of the entries.
+     * @type {function|null}
+     */
+    this.formatter = formatter;
+
+    /**
+     * The text layout of the entries.
+     * @type {Template|null}
+     */
+    this.template =
+      !template || template instanceof Template
+        ? template
+        : new Template(template);
+
+    /**
+     * If the output should be boring (no colors).
+     * @type {boolean|undefined}
+     */
+    this.boring = boring;
+
+    /**
+     * If the output should be structured (JSON).
+     * @type {boolean|undefined}
+     */
+    this.json = json;
+  }
+
+  /**
+   * Checks if the entry should be written by this transport.
+   * @param {object} entry The log entry.
+   * @returns {boolean}
+   */
+  accepts(entry) {
+    if (this.level === null || this.level === undefined) {
+      return true;
+    }
+    const level = isNaN(this.level)
+      ? entry.logger.constructor.severity(this.level)
+      : parseFloat(this.level);
+    return entry.level <= level;
+  }
+
+  /**
+   * Formats an entry into lines. Each line is an array of arguments that
+   * can be sent to a console method.
+   * @param {object} entry The log entry.
+   * @returns {Array[]}
+   */
+  format(entry) {
+    const output = this.formatter
+      ? this.formatter(entry, this)
+      : entry.logger.format(
+          entry,
+          this.boring,
+          this.json,
+          this.template || undefined
+        );
+    return (Array.isArray(output) ? output : [output]).map(line =>
+      Array.isArray(line) ? line : [line]
+    );
+  }
+
+  /**
+   * Formats an entry into a single string, indenting it by the depth of its
+   * group unless the destination already indents its groups.
+   * @param {object} entry The log entry.
+   * @param {boolean=} indent If the text should be indented by group.
+   * @returns {string}
+   */
+  formatText(entry, indent = true) {
+    const text = this.format(entry)
+      .map(line => line.join(" "))
+      .join("\n");
+    return indent && entry.groupDepth
+      ? text.replace(/^/gm, "  ".repeat(entry.groupDepth))
+      : text;
+  }
+
+  /**
+   * Writes the entry into the destination.
+   * @param {object} entry The log entry.
+   */
+  write(entry) {
+    throw new Error(`Transport '${this.name}' must implement write().`);
+  }
+
+  /**
+   * Writes a batch of entries. Transports can override it to write them at
+   * once and return a promise to apply back-pressure.
+   * @param {object[]} entries The log entries.
+   * @returns {Promise|undefined}
+   */
+  writeBatch(entries) {
+    entries.forEach(entry => this.write(entry));
+  }
+
+  /**
+   * Waits for any pending writes.
+   * @returns {Promise}
+   */
+  flush() {
+    return Promise.resolve();
+  }
+
+  /**
+   * Closes the transport and releases any resources.
+   */
+  close() {}
+}
+
+module.exports = Transport;
@@ -0,0 +1,234 @@
+const fs = require("fs");
+const http = require("http");
+
+/**
+ * The levels the loggers had before debugging was toggled on.
+ *
+ * @type {WeakMap<Logger, number>}
+ * @private
+ */
+const _previous = new WeakMap();
+
+/**
+ * Obtains the name of the level of a logger.
+ * @param {Logger} logger The logger.
+ * @returns {string}
+ * @private
+ */
+const levelName = logger =>
+  logger.LEVELS.find(
+    name => logger.constructor.severity(name) === logger.level
+  ) || String(logger.level);
+
+/**
+ * Checks if a level exists.
+ * @param {function} Logger The logger class.
+ * @param {*} level The name or the severity of the level.
+ * @returns {boolean}
+ * @private
+ */
+const isLevel = (Logger, level) =>
+  typeof level === "number" ||
+  (typeof level === "string" &&
+    level !== "" &&
+    (!isNaN(level) || Logger.severity(level) > -1));
+
+/**
+ * Parses the settings of a config file, either JSON or `KEY=value` lines.
+ * @param {string} content The content of the file.
+ * @returns {object}
+ * @private
+ */
+const parseConfig = content => {
+  if (/^\s*\{/.test(content)) {
+    return JSON.parse(content);
+  }
+  return content.split(/\r?\n/).reduce((settings, line) => {
+    const match = /^\s*(?:export\s+)?([\w.]+)\s*=\s*(.*?)\s*$/.exec(line);
+    if (match && !/^\s*#/.test(line)) {
+      settings[match[1]] = match[2].replace(/^(["'])(.*)\1$/, "$2");
+    }
+    return settings;
+  }, {});
+};
+
+/**
+ * Toggles the debugging of every logger when the process receives a signal:
+ * the first signal sets them to `debug` and the next one restores their
+ * previous levels. The named loggers following the level of the default
+ * logger are left to follow it.
+ * @param {function} Logger The logger class.
+ * @param {string=} signal The signal to listen to.
+ * @returns {function} A function that stops listening.
+ */
+const toggleOnSignal = (Logger, signal = "SIGUSR2") => {
+  const debug = Logger.severity("debug");
+  const toggle = () =>
+    Object.values(Logger.loggers)
+      // The named loggers following the default one change along with it.
+      .filter(logger => !Logger.isFollowing(logger))
+      .map(logger => {
+        if (logger.level < debug) {
+          _previous.set(logger, logger.level);
+          return [logger, debug];
+        }
+        const level = _previous.has(logger)
+          ? _previous.get(logger)
+          : Logger.severity("info");
+        _previous.delete(logger);
+        return [logger, level];
+      })
+      .forEach(([logger, level]) => (logger.level = level));
+  process.on(signal, toggle);
+  return () => process.removeListener(signal, toggle);
+};
+
+/**
+ * Watches a config file and applies its `LOG_LEVEL` to the main logger and
+ * its `LOG_NAMESPACES` to the named loggers whenever they change.
+ * @param {function} Logger The logger class.
+ * @param {string} file The path of the file (JSON or `KEY=value` lines).
+ * @param {object=} options The options of the watcher.
+ * @param {number=} options.interval The milliseconds between the checks.
+ * @returns {{close: function}} The watcher.
+ */
+const watchConfig = (Logger, file, { interval = 1000 } = {}) => {
+  const applied = {};
+  const apply = () => {
+    let settings;
+    try {
+      settings = parseConfig(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        Logger.console.error(
+          `[LOG] Unable to read the config ${file}: ${e.message}`
+        );
+      }
+      return;
+    }
+    const level = settings.LOG_LEVEL;
+    if (isLevel(Logger, level) && level !== applied.level) {
+      applied.level = level;
+      Logger.logger.level = level;
+    }
+    const patterns = settings.LOG_NAMESPACES;
+    if (typeof patterns === "string" && patterns !== applied.patterns) {
+      applied.patterns = patterns;
+      Logger.enable(patterns);
+    }
+  };
+  const listener = (current, previous) => {
+    if (
+      current.mtimeMs !== previous.mtimeMs ||
+      current.size !== previous.size
+    ) {
+      apply();
+    }
+  };
+  apply();
+  fs.watchFile(file, { interval, persistent: false }, listener);
+  return { close: () => fs.unwatchFile(file, listener) };
+};
+
+/**
+ * Writes a JSON response.
+ * @param {http.ServerResponse} res The response.
+ * @param {number} status The status code.
+ * @param {*} body The body.
+ * @private
+ */
+const send = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Starts a local HTTP endpoint (on a port or an IPC socket) to list the
+ * loggers and change their levels:
+ *
+ * - `GET /loggers` lists the loggers (the main one is named `root`).
+ * - `PUT /loggers/{name}` with `{"level": "debug"}` or `?level=debug`
+ *   changes the level of a logger.
+ *
+ * @param {function} Logger The logger class.
+ * @param {object=} options The options of the endpoint.
+ * @param {number=} options.port The port to listen to.
+ * @param {string=} options.host The host to listen to.
+ * @param {string=} options.path The path of the IPC socket (instead of a
+ * port).
+ * @param {function=} callback Called once listening.
+ * @returns {http.Server}
+ */
+const listen = (
+  Logger,
+  { port = 0, host = "127.0.0.1", path = null } = {},
+  callback
+) => {
+  const describe = (name, logger) => ({
+    name,
+    level: logger.level,
+    levelName: levelName(logger)
+  });
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const match = /^\/loggers(?:\/([^/]+))?\/?$/.exec(url.pathname);
+    const loggers = Logger.loggers;
+    if (!match) {
+      return send(res, 404, { error: "Not found" });
+    }
+    if (!match[1]) {
+      return req.method === "GET"
+        ? send(
+            res,
+            200,
+            Object.keys(loggers).map(name =>
+              describe(name || "root", loggers[name])
+            )
+          )
+        : send(res, 405, { error: "Method not allowed" });
+    }
+
+    let name;
+    try {
+      name = decodeURIComponent(match[1]);
+    } catch (e) {
+      return send(res, 400, { error: "Invalid logger name" });
+    }
+    const logger = loggers[name === "root" ? "" : name];
+    if (!logger) {
+      return send(res, 404, { error: `Logger '${name}' not found` });
+    }
+    if (req.method === "GET") {
+      return send(res, 200, describe(name, logger));
+    }
+    if (req.method !== "PUT" && req.method !== "POST") {
+      return send(res, 405, { error: "Method not allowed" });
+    }
+
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      let level = url.searchParams.get("level");
+      try {
+        level = body ? JSON.parse(body).level : level;
+      } catch (e) {
+        return send(res, 400, { error: "Invalid JSON" });
+      }
+      if (!isLevel(Logger, level)) {
+        return send(res, 400, { error: `Invalid level '${level}'` });
+      }
+      logger.level = level;
+      send(res, 200, describe(name, logger));
+    });
+  });
+  server.unref();
+  if (path) {
+    server.listen(path, callback);
+  } else {
+    server.listen(port, host, callback);
+  }
+  return server;
+};
+
+module.exports = { toggleOnSignal, watchConfig, listen };
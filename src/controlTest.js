@@ -0,0 +1,154 @@
+const Logger = require("./testing").loadLogger({
+  log() {},
+  error() {},
+  group() {},
+  groupEnd() {}
+});
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+let level;
+
+/**
+ * Sends a request to the control endpoint.
+ * @param {number} port The port of the endpoint.
+ * @param {string} method The method of the request.
+ * @param {string} url The url requested.
+ * @param {string|null} body The body of the request.
+ * @param {function} callback Receives the status and the parsed body.
+ */
+const request = (port, method, url, body, callback) => {
+  const req = http.request(
+    { host: "127.0.0.1", port, method, path: url },
+    res => {
+      let data = "";
+      res.on("data", chunk => (data += chunk));
+      res.on("end", () => callback(res.statusCode, JSON.parse(data)));
+    }
+  );
+  req.end(body);
+};
+
+describe("control", () => {
+  beforeEach(() => {
+    level = Logger.logger.level;
+  });
+
+  afterEach(() => {
+    Logger.logger.level = level;
+  });
+
+  it("should toggle debugging on a signal", () => {
+    const named = Logger.get("control:signal");
+    Logger.logger.level = "warn";
+    named.level = "info";
+    const stop = Logger.toggleDebugOnSignal("SIGUSR2");
+    process.emit("SIGUSR2");
+    expect(Logger.logger.isDebugging).toBe(true);
+    expect(named.isDebugging).toBe(true);
+    process.emit("SIGUSR2");
+    expect(Logger.logger.level).toBe(Logger.severity("warn"));
+    expect(named.level).toBe(Logger.severity("info"));
+    stop();
+    process.emit("SIGUSR2");
+    expect(Logger.logger.level).toBe(Logger.severity("warn"));
+  });
+
+  it("should toggle the named loggers following the default level", () => {
+    const follower = Logger.get("control:toggled");
+    Logger.logger.level = "info";
+    const stop = Logger.toggleDebugOnSignal("SIGUSR2");
+    process.emit("SIGUSR2");
+    expect(Logger.logger.level).toBe(Logger.severity("debug"));
+    expect(follower.level).toBe(Logger.severity("debug"));
+    process.emit("SIGUSR2");
+    expect(Logger.logger.level).toBe(Logger.severity("info"));
+    expect(follower.level).toBe(Logger.severity("info"));
+    Logger.logger.level = "warn";
+    expect(follower.level).toBe(Logger.severity("warn"));
+    stop();
+  });
+
+  it("should make the named loggers follow the default level", () => {
+    Logger.enable("control:enabled=info");
+    const follower = Logger.get("control:follower");
+    const enabled = Logger.get("control:enabled");
+    const pinned = Logger.get("control:pinned");
+    pinned.level = "warn";
+    Logger.logger.level = "deepDebug";
+    expect(follower.level).toBe(Logger.severity("deepDebug"));
+    expect(enabled.level).toBe(Logger.severity("info"));
+    expect(pinned.level).toBe(Logger.severity("warn"));
+    Logger.enable("");
+  });
+
+  it("should apply the level of a watched config file", done => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ezzy-logger-"));
+    const file = path.join(dir, "logging.env");
+    fs.writeFileSync(file, "# Logging\nLOG_LEVEL=warn\n");
+    const watcher = Logger.watchConfig(file, { interval: 10 });
+    expect(Logger.logger.level).toBe(Logger.severity("warn"));
+    setTimeout(() => {
+      fs.writeFileSync(file, 'LOG_LEVEL="deepDebug"\n');
+      setTimeout(() => {
+        watcher.close();
+        fs.unlinkSync(file);
+        fs.rmdirSync(dir);
+        expect(Logger.logger.level).toBe(Logger.severity("deepDebug"));
+        done();
+      }, 200);
+    }, 50);
+  });
+
+  it("should list the loggers and change their levels", done => {
+    Logger.get("control:http").level = "info";
+    const server = Logger.listenControl({ port: 0 }, () => {
+      const port = server.address().port;
+      request(port, "GET", "/loggers", null, (status, list) => {
+        expect(status).toBe(200);
+        expect(list.map(item => item.name)).toContain("root");
+        expect(list).toContain({
+          name: "control:http",
+          level: Logger.severity("info"),
+          levelName: "info"
+        });
+        request(
+          port,
+          "PUT",
+          "/loggers/control:http",
+          '{"level":"debug"}',
+          (status, item) => {
+            expect(status).toBe(200);
+            expect(item.levelName).toBe("debug");
+            expect(Logger.get("control:http").isDebugging).toBe(true);
+            request(
+              port,
+              "PUT",
+              "/loggers/root?level=nope",
+              null,
+              (status, error) => {
+                expect(status).toBe(400);
+                expect(error.error).toBe("Invalid level 'nope'");
+                request(port, "GET", "/loggers/missing", null, status => {
+                  expect(status).toBe(404);
+                  request(
+                    port,
+                    "GET",
+                    "/loggers/%E0%A4%A",
+                    null,
+                    (status, error) => {
+                      expect(status).toBe(400);
+                      expect(error.error).toBe("Invalid logger name");
+                      server.close(done);
+                    }
+                  );
+                });
+              }
+            );
+          }
+        );
+      });
+    });
+  });
+});
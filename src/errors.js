@@ -0,0 +1,86 @@
+/**
+ * The properties of an error that are not custom.
+ *
+ * @type {string[]}
+ * @private
+ */
+const STANDARD_PROPERTIES = ["name", "message", "stack", "cause", "errors"];
+
+/**
+ * Checks if a line of a stack is a frame coming from node_modules.
+ *
+ * @type {RegExp}
+ * @private
+ */
+const NODE_MODULES_FRAME = /^\s+at .*[\\/]node_modules[\\/]/;
+
+/**
+ * Obtains the custom enumerable properties of an error (e.g. code,
+ * statusCode).
+ * @param {Error} error The error.
+ * @returns {object}
+ */
+const properties = error =>
+  Object.keys(error)
+    .filter(key => !STANDARD_PROPERTIES.includes(key))
+    .reduce((props, key) => {
+      props[key] = error[key];
+      return props;
+    }, {});
+
+/**
+ * Removes the frames coming from node_modules out of a stack.
+ * @param {string} stack The stack.
+ * @returns {string}
+ */
+const trimStack = stack =>
+  String(stack)
+    .split("\n")
+    .filter(line => !NODE_MODULES_FRAME.test(line))
+    .join("\n");
+
+/**
+ * Renders an error as text: its stack with the custom properties next to the
+ * message, followed by the aggregated errors and the chain of causes.
+ * @param {*} error The error.
+ * @param {object=} options The options of the rendering.
+ * @param {boolean=} options.trim If node_modules frames should be removed.
+ * @param {function=} options.stringify The function to stringify values.
+ * @param {Set=} seen The errors already rendered (for circular causes).
+ * @returns {string}
+ */
+const render = (
+  error,
+  { trim = false, stringify = JSON.stringify } = {},
+  seen = new Set()
+) => {
+  if (!(error instanceof Error)) {
+    return typeof error === "string" ? error : stringify(error);
+  }
+  if (seen.has(error)) {
+    return "[Circular]";
+  }
+  seen.add(error);
+  const options = { trim, stringify };
+  const stack = error.stack || `${error.name}: ${error.message}`;
+  const lines = (trim ? trimStack(stack) : String(stack)).split("\n");
+  const props = properties(error);
+  if (Object.keys(props).length) {
+    const firstFrame = lines.findIndex(line => /^\s+at /.test(line));
+    const header = (firstFrame > -1 ? firstFrame : lines.length) - 1;
+    lines[Math.max(header, 0)] += ` ${stringify(props)}`;
+  }
+  if (Array.isArray(error.errors)) {
+    error.errors.forEach((item, i) =>
+      render(item, options, seen)
+        .split("\n")
+        .forEach((line, l) => lines.push(`    ${l ? "" : `[${i}] `}${line}`))
+    );
+  }
+  if (error.cause !== undefined) {
+    lines.push(`Caused by: ${render(error.cause, options, seen)}`);
+  }
+  return lines.join("\n");
+};
+
+module.exports = { properties, trimStack, render };
@@ -0,0 +1,143 @@
+const util = require("util");
+
+/**
+ * The levels of the console methods routed through the logger.
+ *
+ * @type {object}
+ */
+const METHODS = {
+  log: "info",
+  info: "info",
+  warn: "warn",
+  error: "error",
+  debug: "debug",
+  trace: "debug"
+};
+
+/**
+ * The levels of the output streams routed through the logger.
+ *
+ * @type {object}
+ */
+const STREAMS = {
+  stdout: "info",
+  stderr: "error"
+};
+
+/**
+ * The depth of the calls being routed through the logger. Any output while
+ * routing (e.g. the logger writing into the console) is written as is to
+ * avoid recursion.
+ *
+ * @type {number}
+ * @private
+ */
+let _depth = 0;
+
+/**
+ * Runs a function marking that the output is being routed.
+ * @param {function} fn The function.
+ * @returns {*} The result of the function.
+ * @private
+ */
+const routing = fn => {
+  _depth++;
+  try {
+    return fn();
+  } finally {
+    _depth--;
+  }
+};
+
+/**
+ * Patches the console methods, and optionally the output streams of the
+ * process, so their output is logged by a logger.
+ * @param {Console} console The console to patch.
+ * @param {Logger} logger The logger receiving the output.
+ * @param {object=} options The options of the interception.
+ * @param {boolean=} options.streams If `process.stdout` and `process.stderr`
+ * should be patched as well.
+ * @param {object=} options.levels The level by console method or stream name
+ * (e.g. `{ log: "debug", stderr: "warn" }`).
+ * @returns {{console: object, restore: function}} The original console
+ * methods (for the logger's own output) and the function that restores them.
+ */
+const intercept = (console, logger, { streams = false, levels = {} } = {}) => {
+  const methodLevels = Object.assign({}, METHODS, levels);
+  const streamLevels = Object.assign({}, STREAMS, levels);
+  const originals = {};
+  const safe = {};
+  const writes = {};
+
+  Object.keys(console).forEach(key => {
+    if (typeof console[key] === "function") {
+      const original = console[key];
+      originals[key] = original;
+      safe[key] = (...args) => routing(() => original.apply(console, args));
+    }
+  });
+
+  Object.keys(METHODS).forEach(method => {
+    if (!originals[method]) {
+      return;
+    }
+    console[method] = (...args) => {
+      if (_depth) {
+        return safe[method](...args);
+      }
+      routing(() =>
+        logger[methodLevels[method]]({
+          message: util.format(...args),
+          type: "console"
+        })
+      );
+    };
+  });
+
+  if (streams) {
+    Object.keys(STREAMS).forEach(name => {
+      const stream = process[name];
+      const write = stream.write;
+      writes[name] = Object.prototype.hasOwnProperty.call(stream, "write")
+        ? write
+        : null;
+      stream.write = function(chunk, encoding, callback) {
+        if (_depth) {
+          return write.apply(this, arguments);
+        }
+        const done = typeof encoding === "function" ? encoding : callback;
+        const text = Buffer.isBuffer(chunk)
+          ? chunk.toString(typeof encoding === "string" ? encoding : "utf8")
+          : String(chunk);
+        routing(() =>
+          logger[streamLevels[name]]({
+            message: text.replace(/\r?\n$/, ""),
+            type: name
+          })
+        );
+        if (typeof done === "function") {
+          process.nextTick(done);
+        }
+        return true;
+      };
+    });
+  }
+
+  return {
+    console: safe,
+    restore: () => {
+      Object.keys(originals).forEach(key => {
+        console[key] = originals[key];
+      });
+      Object.keys(writes).forEach(name => {
+        if (writes[name]) {
+          process[name].write = writes[name];
+        } else {
+          delete process[name].write;
+        }
+      });
+    }
+  };
+};
+
+module.exports = { METHODS, STREAMS, intercept };
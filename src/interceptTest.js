@@ -0,0 +1,72 @@
+const log = jasmine.createSpy("log");
+const info = jasmine.createSpy("info");
+const error = jasmine.createSpy("error");
+const stub = { log, info, warn() {}, error, debug() {}, group() {} };
+const { loadLogger, memoryLogger } = require("./testing");
+const Logger = loadLogger(stub);
+let logger;
+let memory;
+
+describe("intercept", () => {
+  beforeEach(() => {
+    ({ logger, memory } = memoryLogger(Logger));
+    log.calls.reset();
+    info.calls.reset();
+    error.calls.reset();
+  });
+
+  afterEach(() => Logger.unglobalize());
+
+  it("should route the console through the logger", () => {
+    logger.globalize({ levels: { log: "warn" } });
+    stub.log("Loaded %d plugins", 3);
+    stub.info({ ready: true });
+    stub.debug("Hidden");
+    expect(memory.lines).toEqual([
+      "[WRN] [console] Loaded 3 plugins",
+      "[INF] [console] { ready: true }"
+    ]);
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  it("should write the output of the logger without recursion", () => {
+    logger.addTransport(new Logger.ConsoleTransport({ boring: true }));
+    Logger.globalize(logger);
+    stub.error("Failed");
+    expect(error).toHaveBeenCalledWith("[ERR] [console] Failed");
+    expect(memory.lines).toEqual(["[ERR] [console] Failed"]);
+    Logger.console.log("Direct");
+    expect(log).toHaveBeenCalledWith("Direct");
+  });
+
+  it("should route the output streams", () => {
+    const write = process.stdout.write;
+    logger.globalize({ streams: true });
+    const done = jasmine.createSpy("done");
+    process.stdout.write("From a dependency\n", done);
+    process.stderr.write(Buffer.from("Broken pipe"));
+    Logger.unglobalize();
+    expect(process.stdout.write).toBe(write);
+    expect(memory.lines).toEqual([
+      "[INF] [stdout] From a dependency",
+      "[ERR] [stderr] Broken pipe"
+    ]);
+  });
+
+  it("should report the call site of the intercepted output", () => {
+    logger.level = "debug";
+    logger.globalize();
+    stub.info("Located");
+    expect(memory.lines[0]).toMatch(
+      /^\[INF] \[console] Located \(interceptTest\.js \d+:\d+\)$/
+    );
+  });
+
+  it("should restore the console", () => {
+    logger.globalize();
+    Logger.unglobalize();
+    stub.log("Plain");
+    expect(log).toHaveBeenCalledWith("Plain");
+    expect(memory.lines).toEqual([]);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Turns a namespace pattern into a regular expression, where `*` matches
+ * anything.
+ * @param {string} pattern The pattern (e.g. `db:*`).
+ * @returns {RegExp}
+ * @private
+ */
+const toRegExp = pattern =>
+  new RegExp(
+    "^" +
+      pattern
+        .split("*")
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*?") +
+      "$"
+  );
+
+/**
+ * Parses a DEBUG-style list of patterns, such as
+ * `db:*,-db:pool,http:*=deepDebug`. Patterns starting with `-` are excluded
+ * and patterns followed by `=level` set that level instead of `debug`.
+ *
+ * @param {string} patterns The comma (or space) separated patterns.
+ * @returns {{regExp: RegExp, exclude: boolean, level: string}[]}
+ */
+const parse = (patterns = "") =>
+  String(patterns)
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(item => {
+      const exclude = item[0] === "-";
+      const [pattern, level] = (exclude ? item.substr(1) : item).split("=");
+      return { regExp: toRegExp(pattern), exclude, level: level || "debug" };
+    });
+
+/**
+ * Finds the level of a namespace out of the parsed rules. Exclusions always
+ * win and, among the inclusions, the last one matching is used.
+ *
+ * @param {object[]} rules The parsed rules.
+ * @param {string} namespace The namespace of the logger.
+ * @returns {string|null} The level or null if it's not enabled.
+ */
+const match = (rules, namespace) => {
+  const matching = rules.filter(rule => rule.regExp.test(namespace));
+  if (!matching.length || matching.some(rule => rule.exclude)) {
+    return null;
+  }
+  return matching[matching.length - 1].level;
+};
+
+module.exports = { parse, match };
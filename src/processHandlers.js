@@ -0,0 +1,141 @@
+const os = require("os");
+
+/**
+ * The number of the process handlers installed.
+ * @type {number}
+ * @private
+ */
+let installed = 0;
+
+/**
+ * The default warning listeners of Node, removed while the handlers are
+ * installed so the warnings are not printed twice.
+ * @type {function[]}
+ * @private
+ */
+let defaultWarnings = [];
+
+/**
+ * Routes the crashes, warnings and termination signals of the process
+ * through a logger, then flushes it, runs the shutdown callbacks and exits.
+ * The warnings are no longer printed by Node while the handlers are installed.
+ * @param {Logger} logger The logger.
+ * @param {object=} options The options of the handlers.
+ * @param {number=} options.exitCode The exit code after a crash.
+ * @param {number=} options.signalExitCode The exit code after a signal.
+ * Defaults to 128 plus the number of the signal, like the shells.
+ * @param {string[]=} options.signals The signals that shut down the process.
+ * @param {boolean=} options.exitOnRejection If unhandled rejections should
+ * shut down the process.
+ * @param {number=} options.timeout The maximum milliseconds to wait for the
+ * shutdown callbacks and the flush.
+ * @param {function[]=} options.shutdown The shutdown callbacks. They may
+ * return promises.
+ * @param {function=} options.exit The function that ends the process.
+ * @returns {function} A function that removes the handlers.
+ */
+const install = (
+  logger,
+  {
+    exitCode = 1,
+    signalExitCode,
+    signals = ["SIGTERM", "SIGINT"],
+    exitOnRejection = true,
+    timeout = 5000,
+    shutdown = [],
+    exit = code => process.exit(code)
+  } = {}
+) => {
+  let closing = null;
+  const close = code => {
+    if (!closing) {
+      let timer;
+      const work = Promise.all(
+        shutdown.map(callback =>
+          Promise.resolve()
+            .then(callback)
+            .catch(error =>
+              logger.error({ title: "Shutdown callback failed", error })
+            )
+        )
+      )
+        .then(() => logger.flush())
+        .catch(() => {});
+      closing = Promise.race([
+        work,
+        new Promise(resolve => {
+          timer = setTimeout(() => {
+            logger.warn(`Shutdown timed out after ${timeout}ms`);
+            resolve();
+          }, timeout);
+        })
+      ]).then(() => {
+        clearTimeout(timer);
+        exit(code);
+      });
+    }
+    return closing;
+  };
+
+  const handlers = {
+    uncaughtException: error => {
+      logger.error({ title: "Uncaught exception", error, limit: false });
+      close(exitCode);
+    },
+    unhandledRejection: reason => {
+      logger.error(
+        reason instanceof Error
+          ? { title: "Unhandled rejection", error: reason, limit: false }
+          : reason && typeof reason === "object"
+          ? { title: "Unhandled rejection", message: reason, limit: false }
+          : {
+              title: "Unhandled rejection",
+              message: String(reason),
+              limit: false
+            }
+      );
+      if (exitOnRejection) {
+        close(exitCode);
+      }
+    },
+    warning: warning => {
+      logger.warn({ title: warning.name, error: warning });
+    }
+  };
+  signals.forEach(signal => {
+    handlers[signal] = () => {
+      logger.warn(`Received ${signal}, shutting down`);
+      close(
+        signalExitCode === undefined
+          ? 128 + (os.constants.signals[signal] || 0)
+          : signalExitCode
+      );
+    };
+  });
+
+  if (installed++ === 0) {
+    defaultWarnings = process
+      .listeners("warning")
+      .filter(listener => listener.name === "onWarning");
+    defaultWarnings.forEach(listener =>
+      process.removeListener("warning", listener)
+    );
+  }
+  Object.keys(handlers).forEach(event => process.on(event, handlers[event]));
+  let removed = false;
+  return () => {
+    if (removed) {
+      return;
+    }
+    removed = true;
+    Object.keys(handlers).forEach(event =>
+      process.removeListener(event, handlers[event])
+    );
+    if (--installed === 0) {
+      defaultWarnings.forEach(listener => process.on("warning", listener));
+      defaultWarnings = [];
+    }
+  };
+};
+
+module.exports = { install };
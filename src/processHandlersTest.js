@@ -0,0 +1,107 @@
+const { loadLogger, memoryLogger } = require("./testing");
+const Logger = loadLogger();
+let exit;
+let logger;
+let memory;
+
+/**
+ * Obtains the last listener of a process event.
+ * @param {string} event The event.
+ * @returns {function}
+ */
+const listener = event => process.listeners(event).slice(-1)[0];
+
+describe("processHandlers", () => {
+  beforeEach(() => {
+    ({ logger, memory } = memoryLogger(Logger));
+    exit = jasmine.createSpy("exit");
+  });
+
+  afterEach(() => logger.uninstallProcessHandlers());
+
+  it("should log uncaught exceptions and exit after the shutdown", done => {
+    const closed = [];
+    logger
+      .onShutdown(() => closed.push("db"))
+      .onShutdown(() => Promise.reject(new Error("Busy")))
+      .installProcessHandlers({ exitCode: 3, exit });
+    listener("uncaughtException")(new Error("Boom"));
+    listener("uncaughtException")(new Error("Again"));
+    setTimeout(() => {
+      expect(memory.lines[0]).toMatch(
+        /^\[ERR] \[Uncaught exception] Boom\nError: Boom\n\s+at /
+      );
+      expect(memory.lines[2]).toMatch(/^\[ERR] \[Shutdown callback failed]/);
+      expect(closed).toEqual(["db"]);
+      expect(exit.calls.allArgs()).toEqual([[3]]);
+      done();
+    }, 20);
+  });
+
+  it("should log unhandled rejections and warnings", done => {
+    logger.installProcessHandlers({ exitOnRejection: false, exit });
+    listener("unhandledRejection")("Not an error");
+    listener("unhandledRejection")({ code: 42 });
+    listener("warning")(new Error("Deprecated"));
+    setTimeout(() => {
+      expect(memory.lines[0]).toBe("[ERR] [Unhandled rejection] Not an error");
+      expect(memory.lines[1]).toBe('[ERR] [Unhandled rejection] {"code":42}');
+      expect(memory.lines[2]).toMatch(/^\[WRN] \[Error] Deprecated\nError/);
+      expect(exit).not.toHaveBeenCalled();
+      done();
+    }, 20);
+  });
+
+  it("should shut down on the signals", done => {
+    logger.installProcessHandlers({ signalExitCode: 0, exit });
+    listener("SIGTERM")();
+    setTimeout(() => {
+      expect(memory.lines).toEqual(["[WRN] Received SIGTERM, shutting down"]);
+      expect(exit).toHaveBeenCalledWith(0);
+      done();
+    }, 20);
+  });
+
+  it("should exit when the shutdown times out", done => {
+    logger
+      .onShutdown(() => new Promise(() => {}))
+      .installProcessHandlers({ timeout: 10, exit });
+    listener("SIGINT")();
+    setTimeout(() => {
+      expect(memory.lines[1]).toBe("[WRN] Shutdown timed out after 10ms");
+      expect(exit).toHaveBeenCalledWith(130);
+      done();
+    }, 50);
+  });
+
+  it("should exit when the flush fails", done => {
+    spyOn(logger, "flush").and.returnValue(Promise.reject(new Error("Full")));
+    logger.installProcessHandlers({ exit });
+    listener("SIGTERM")();
+    setTimeout(() => {
+      expect(exit).toHaveBeenCalledWith(143);
+      done();
+    }, 20);
+  });
+
+  it("should replace the default warning output of Node", () => {
+    const defaults = () =>
+      process
+        .listeners("warning")
+        .filter(listener => listener.name === "onWarning").length;
+    const count = defaults();
+    logger.installProcessHandlers({ exit });
+    expect(defaults()).toBe(0);
+    logger.uninstallProcessHandlers();
+    expect(defaults()).toBe(count);
+  });
+
+  it("should remove the handlers", () => {
+    const count = process.listenerCount("uncaughtException");
+    logger.installProcessHandlers({ exit }).installProcessHandlers({ exit });
+    expect(process.listenerCount("uncaughtException")).toBe(count + 1);
+    logger.uninstallProcessHandlers();
+    expect(process.listenerCount("uncaughtException")).toBe(count);
+    expect(() => logger.onShutdown("nope")).toThrowError(TypeError);
+  });
+});
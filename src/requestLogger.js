@@ -0,0 +1,171 @@
+const crypto = require("crypto");
+
+/**
+ * Generates a new request id.
+ * @returns {string}
+ * @private
+ */
+const generateId = () =>
+  crypto.randomUUID
+    ? crypto.randomUUID()
+    : crypto.randomBytes(16).toString("hex");
+
+/**
+ * The pattern of the incoming request ids that are trusted. Any other value
+ * is replaced, so it cannot inject text into the lines or the headers.
+ *
+ * @type {RegExp}
+ * @private
+ */
+const VALID_ID = /^[\w.:@+=/-]{1,128}$/;
+
+/**
+ * Obtains the level of a response by its status class.
+ * @param {number} status The status code.
+ * @returns {string}
+ * @private
+ */
+const levelOf = status =>
+  status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+
+/**
+ * Checks if a request should not be logged.
+ * @param {Array<string|RegExp|function>} rules The skip rules.
+ * @param {http.IncomingMessage} req The request.
+ * @returns {boolean}
+ * @private
+ */
+const shouldSkip = (rules, req) => {
+  const url = (req.originalUrl || req.url || "").split("?")[0];
+  return rules.some(rule =>
+    typeof rule === "function"
+      ? rule(req)
+      : rule instanceof RegExp
+      ? rule.test(url)
+      : rule === url
+  );
+};
+
+/**
+ * Creates a function that logs the start and completion of every request.
+ *
+ * @param {Logger} logger The logger to use.
+ * @param {object=} options The options of the request logging.
+ * @param {string=} options.header The header with the incoming request id.
+ * @param {function=} options.generateId Generates the request ids.
+ * @param {RegExp=} options.validId The pattern of the incoming request ids
+ * to reuse. Others are replaced by a new id. Defaults to up to 128 word
+ * characters and `.:@+=/-`.
+ * @param {Array<string|RegExp|function>=} options.skip The paths, patterns
+ * or functions of the requests that should not be logged (e.g. `/health`).
+ * @param {function=} options.level Obtains the level out of a status code.
+ * @param {boolean=} options.logStart If the start of the request is logged.
+ * @param {boolean=} options.prefix If the request id should also be used as
+ * the `loggerPrefix` of the request, for the code still logging through
+ * `basics.request`. Off by default, since the id is already in the context.
+ * @returns {function} A function receiving the request, the response and the
+ * next handler.
+ */
+const requestLogger = (logger, options = {}) => {
+  const {
+    header = "x-request-id",
+    skip = [],
+    level = levelOf,
+    logStart = true,
+    prefix = false,
+    validId = VALID_ID
+  } = options;
+  const createId = options.generateId || generateId;
+
+  return (req, res, next = () => {}) => {
+    if (shouldSkip([].concat(skip), req)) {
+      return next();
+    }
+
+    const incoming = req.headers[header.toLowerCase()];
+    const requestId =
+      typeof incoming === "string" && validId.test(incoming)
+        ? incoming
+        : createId();
+    const method = req.method;
+    const url = req.originalUrl || req.url;
+    const log = logger.child({ requestId });
+    const timer = log.startTimer();
+    let size = 0;
+    let logged = false;
+
+    req.id = req.id || requestId;
+    if (prefix && !req.loggerPrefix) {
+      req.loggerPrefix = requestId;
+    }
+    if (!res.headersSent) {
+      res.setHeader("X-Request-Id", requestId);
+    }
+
+    const write = res.write;
+    const end = res.end;
+    const count = (chunk, encoding) => {
+      if (chunk && typeof chunk !== "function") {
+        size += Buffer.isBuffer(chunk)
+          ? chunk.length
+          : Buffer.byteLength(
+              String(chunk),
+              typeof encoding === "string" ? encoding : undefined
+            );
+      }
+    };
+    res.write = function(chunk, encoding) {
+      count(chunk, encoding);
+      return write.apply(this, arguments);
+    };
+    res.end = function(chunk, encoding) {
+      count(chunk, encoding);
+      return end.apply(this, arguments);
+    };
+
+    const done = aborted => {
+      if (logged) {
+        return;
+      }
+      logged = true;
+      const status = res.statusCode;
+      const length = Number(res.getHeader("content-length")) || size;
+      const fields = { method, url, status, size: length };
+      if (aborted) {
+        timer.done({ message: `<-- ${method} ${url} aborted`, fields }, "warn");
+      } else {
+        timer.done(
+          { message: `<-- ${method} ${url} ${status} ${length}b`, fields },
+          level(status)
+        );
+      }
+    };
+    res.once("finish", () => done(false));
+    res.once("close", () => done(!res.writableFinished && !res.finished));
+
+    if (logStart) {
+      log.info({ message: `--> ${method} ${url}`, fields: { method, url } });
+    }
+
+    return logger.constructor.runWithContext({ requestId }, next);
+  };
+};
+
+/**
+ * Creates a Koa middleware that logs the start and completion of every
+ * request.
+ * @param {Logger} logger The logger to use.
+ * @param {object=} options The options of the request logging.
+ * @see requestLogger
+ * @returns {function}
+ */
+requestLogger.koa = (logger, options) => {
+  const handle = requestLogger(logger, options);
+  return (ctx, next) =>
+    handle(ctx.req, ctx.res, () => {
+      ctx.state.requestId = ctx.req.id;
+      return next();
+    });
+};
+
+module.exports = requestLogger;
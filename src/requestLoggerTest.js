@@ -0,0 +1,189 @@
+const { loadLogger, memoryLogger } = require("./testing");
+const Logger = loadLogger();
+const http = require("http");
+let logger;
+let memory;
+let server;
+
+/**
+ * Starts a server with a handler behind the request logging.
+ * @param {object} options The options of the request logging.
+ * @param {function} handler The handler of the requests.
+ * @param {function} callback Receives the port when listening.
+ */
+const listen = (options, handler, callback) => {
+  const middleware = logger.middleware(options);
+  server = http.createServer((req, res) =>
+    middleware(req, res, () => handler(req, res))
+  );
+  server.listen(0, "127.0.0.1", () => callback(server.address().port));
+};
+
+/**
+ * Sends a request to the local server.
+ * @param {number} port The port of the server.
+ * @param {string} path The path requested.
+ * @param {object} headers The headers of the request.
+ * @param {function} callback Receives the response and its body.
+ */
+const request = (port, path, headers, callback, method = "GET") =>
+  http.get({ host: "127.0.0.1", port, path, headers, method }, res => {
+    let body = "";
+    res.on("data", chunk => (body += chunk));
+    res.on("end", () => setImmediate(() => callback(res, body)));
+  });
+
+describe("requestLogger", () => {
+  beforeEach(() => {
+    ({ logger, memory } = memoryLogger(Logger));
+  });
+
+  afterEach(done => server.close(done));
+
+  it("should log the start and completion of the requests", done => {
+    if (!require("async_hooks").AsyncLocalStorage) {
+      pending("AsyncLocalStorage needs node 12.17 or later.");
+    }
+    listen(
+      {},
+      (req, res) => {
+        expect(req.loggerPrefix).toBeUndefined();
+        logger.info("Handling");
+        res.end("Hello");
+      },
+      port =>
+        request(port, "/users?page=1", {}, (res, body) => {
+          const id = res.headers["x-request-id"];
+          expect(body).toBe("Hello");
+          expect(id).toMatch(/^[\w-]{16,}$/);
+          expect(memory.entries.length).toBe(3);
+          expect(memory.lines[0]).toBe(
+            `[INF] [requestId=${id}] --> GET /users?page=1`
+          );
+          expect(memory.lines[1]).toBe(`[INF] [requestId=${id}] Handling`);
+          expect(memory.lines[2]).toMatch(
+            new RegExp(
+              `^\\[INF\\] \\[requestId=${id}\\] <-- GET /users\\?page=1 200 5b ⏱ [\\d.]+ms$`
+            )
+          );
+          expect(memory.entries[2].fields).toEqual({
+            method: "GET",
+            url: "/users?page=1",
+            status: 200,
+            size: 5
+          });
+          done();
+        })
+    );
+  });
+
+  it("should reuse the incoming request id", done => {
+    listen(
+      { logStart: false, prefix: true },
+      (req, res) => {
+        expect(req.id).toBe("abc-123");
+        expect(req.loggerPrefix).toBe("abc-123");
+        res.end();
+      },
+      port =>
+        request(port, "/", { "X-Request-Id": "abc-123" }, res => {
+          expect(res.headers["x-request-id"]).toBe("abc-123");
+          expect(memory.entries.length).toBe(1);
+          expect(memory.entries[0].context).toEqual({ requestId: "abc-123" });
+          done();
+        })
+    );
+  });
+
+  it("should replace the invalid incoming request ids", done => {
+    listen(
+      { logStart: false },
+      (req, res) => res.end(),
+      port =>
+        request(port, "/", { "X-Request-Id": "a] [admin=true" }, res => {
+          const id = res.headers["x-request-id"];
+          expect(id).not.toBe("a] [admin=true");
+          expect(memory.entries[0].context).toEqual({ requestId: id });
+          done();
+        })
+    );
+  });
+
+  it("should expose the request id to the next Koa middleware", done => {
+    const middleware = logger.koaMiddleware({ logStart: false });
+    server = http.createServer((req, res) => {
+      const ctx = { req, res, state: {} };
+      middleware(ctx, () => {
+        expect(ctx.state.requestId).toBe("koa-1");
+        res.end();
+        return Promise.resolve();
+      });
+    });
+    server.listen(0, "127.0.0.1", () =>
+      request(server.address().port, "/", { "X-Request-Id": "koa-1" }, () => {
+        expect(memory.entries.length).toBe(1);
+        done();
+      })
+    );
+  });
+
+  it("should pick the level by the status class", done => {
+    listen(
+      { logStart: false },
+      (req, res) => {
+        res.statusCode = Number(req.url.substr(1));
+        res.end();
+      },
+      port =>
+        request(port, "/404", {}, () =>
+          request(port, "/503", {}, () => {
+            expect(memory.entries.map(entry => entry.levelName)).toEqual([
+              "warn",
+              "error"
+            ]);
+            done();
+          })
+        )
+    );
+  });
+
+  it("should skip the requests matching the rules", done => {
+    listen(
+      { skip: ["/health", /^\/metrics/, req => req.method === "HEAD"] },
+      (req, res) => res.end(),
+      port =>
+        request(port, "/health", {}, () =>
+          request(port, "/metrics/cpu", {}, () =>
+            request(
+              port,
+              "/users",
+              {},
+              () => {
+                expect(memory.entries.length).toBe(0);
+                done();
+              },
+              "HEAD"
+            )
+          )
+        )
+    );
+  });
+
+  it("should add the fields to the JSON output", done => {
+    logger.json = true;
+    listen(
+      { logStart: false },
+      (req, res) => res.end("{}"),
+      port =>
+        request(port, "/", { "X-Request-Id": "id-1" }, () => {
+          const json = JSON.parse(memory.lines[0]);
+          expect(json.requestId).toBe("id-1");
+          expect(json.method).toBe("GET");
+          expect(json.status).toBe(200);
+          expect(json.size).toBe(2);
+          expect(json.duration).toEqual(jasmine.any(Number));
+          done();
+        })
+    );
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * The console of the loggers loaded for the specs, discarding the output.
+ *
+ * @type {object}
+ * @private
+ */
+const SILENT_CONSOLE = { log() {}, group() {}, groupEnd() {} };
+
+/**
+ * Loads a new Logger class writing to a console stub, so every spec file
+ * gets its own default logger, named loggers and levels.
+ * @param {object=} console The console stub. Defaults to a silent one.
+ * @param {object=} stubs The stubs of other dependencies (e.g. the settings
+ * read by `ezzy-argument`).
+ * @returns {function} The Logger class.
+ */
+const loadLogger = (console = SILENT_CONSOLE, stubs = {}) =>
+  require("proxyquire")
+    .noCallThru()
+    .load("./Logger", Object.assign({ "./console": console }, stubs));
+
+/**
+ * Creates a logger at the info level writing into a memory transport.
+ * @param {function} Logger The Logger class.
+ * @param {object=} options Additional options of the logger.
+ * @returns {{logger: Logger, memory: MemoryTransport}}
+ */
+const memoryLogger = (Logger, options) => {
+  const memory = new Logger.MemoryTransport();
+  const logger = Logger.getLogger(
+    "info",
+    false,
+    Object.assign({ transports: [memory] }, options)
+  );
+  return { logger, memory };
+};
+
+module.exports = { loadLogger, memoryLogger };
@@ -0,0 +1,191 @@
+/**
+ * The moment the process started, for elapsed times.
+ *
+ * @type {number}
+ * @private
+ */
+const START =
+  Date.now() -
+  (typeof process !== "undefined" && process.uptime
+    ? Math.round(process.uptime() * 1000)
+    : 0);
+
+/**
+ * The formatters of the date parts by time zone.
+ *
+ * @type {object}
+ * @private
+ */
+const _formatters = {};
+
+/**
+ * Pads a number with zeros.
+ * @param {number} value The number.
+ * @param {number=} size The length of the result.
+ * @returns {string}
+ * @private
+ */
+const pad = (value, size = 2) => String(value).padStart(size, "0");
+
+/**
+ * Checks if a time zone is UTC.
+ * @param {string} timeZone The time zone.
+ * @returns {boolean}
+ * @private
+ */
+const isUTC = timeZone => /^(utc|z|gmt)$/i.test(timeZone);
+
+/**
+ * Obtains the formatter of the date parts of a time zone. Throws a
+ * RangeError when the time zone doesn't exist.
+ * @param {string} timeZone The IANA time zone (e.g. `America/New_York`).
+ * @returns {Intl.DateTimeFormat}
+ * @private
+ */
+const formatterOf = timeZone => {
+  if (!_formatters[timeZone]) {
+    _formatters[timeZone] = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit"
+    });
+  }
+  return _formatters[timeZone];
+};
+
+/**
+ * Obtains the parts of a date in a time zone.
+ * @param {number} time The epoch milliseconds.
+ * @param {string=} timeZone The time zone. Defaults to the local one.
+ * @returns {object} The year, month, day, hour, minute, second, ms and the
+ * offset (in minutes).
+ * @private
+ */
+const partsOf = (time, timeZone) => {
+  const date = new Date(time);
+  const ms = date.getUTCMilliseconds();
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds(),
+      ms,
+      offset: -date.getTimezoneOffset()
+    };
+  }
+  if (isUTC(timeZone)) {
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: date.getUTCHours(),
+      minute: date.getUTCMinutes(),
+      second: date.getUTCSeconds(),
+      ms,
+      offset: 0
+    };
+  }
+  const parts = { ms };
+  formatterOf(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type.toLowerCase()] = /^dayperiod$/i.test(type)
+        ? value
+        : Number(value);
+    });
+  // Older runtimes ignore the hour cycle and use a 12 hour clock.
+  parts.hour = parts.dayperiod
+    ? (parts.hour % 12) + (/^p/i.test(parts.dayperiod) ? 12 : 0)
+    : parts.hour % 24;
+  parts.offset = Math.round(
+    (Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    ) -
+      (time - ms)) /
+      60000
+  );
+  return parts;
+};
+
+/**
+ * The formats of the timestamps. Each one receives the epoch milliseconds,
+ * the time zone and the time of the previous entry.
+ *
+ * @type {object}
+ */
+const FORMATS = {
+  iso: (time, timeZone = "UTC") => {
+    const p = partsOf(time, timeZone);
+    const offset = Math.abs(p.offset);
+    return (
+      `${p.year}-${pad(p.month)}-${pad(p.day)}T` +
+      `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}.${pad(p.ms, 3)}` +
+      (isUTC(timeZone)
+        ? "Z"
+        : `${p.offset < 0 ? "-" : "+"}${pad(Math.floor(offset / 60))}:${pad(
+            offset % 60
+          )}`)
+    );
+  },
+  local: (time, timeZone) => {
+    const p = partsOf(time, timeZone);
+    return (
+      `${p.year}-${pad(p.month)}-${pad(p.day)} ` +
+      `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}.${pad(p.ms, 3)}`
+    );
+  },
+  time: (time, timeZone) => {
+    const p = partsOf(time, timeZone);
+    return `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}.${pad(p.ms, 3)}`;
+  },
+  epoch: time => String(time),
+  elapsed: time => `+${time - START}ms`,
+  delta: (time, timeZone, previous) => `+${previous ? time - previous : 0}ms`
+};
+FORMATS.relative = FORMATS.elapsed;
+
+/**
+ * Formats a time.
+ * @param {number} time The epoch milliseconds.
+ * @param {string=} name The name of the format (`iso`, `local`, `time`,
+ * `epoch`, `elapsed` or `delta`).
+ * @param {object=} options The options of the format.
+ * @param {string=} options.timeZone The IANA time zone or `UTC`. ISO
+ * timestamps default to UTC and the rest to the local time zone.
+ * @param {number=} options.previous The time of the previous entry (for
+ * deltas).
+ * @returns {string}
+ */
+const format = (time, name = "iso", { timeZone, previous } = {}) => {
+  if (!FORMATS[name]) {
+    throw new TypeError(`The timestamp format '${name}' doesn't exist.`);
+  }
+  return FORMATS[name](time, timeZone || undefined, previous);
+};
+
+/**
+ * Checks that a time zone exists, throwing a RangeError otherwise.
+ * @param {string} timeZone The time zone.
+ * @returns {string}
+ */
+const validateTimeZone = timeZone => {
+  if (timeZone && !isUTC(timeZone)) {
+    formatterOf(timeZone);
+  }
+  return timeZone;
+};
+
+module.exports = { FORMATS, format, validateTimeZone };
@@ -0,0 +1,101 @@
+const { loadLogger, memoryLogger } = require("./testing");
+const Logger = loadLogger();
+const timestamps = require("./timestamps");
+const TIME = Date.UTC(2020, 0, 15, 13, 4, 5, 67);
+let logger;
+let memory;
+
+describe("timestamps", () => {
+  beforeEach(() => {
+    ({ logger, memory } = memoryLogger(Logger));
+  });
+
+  it("should format the times in a time zone", () => {
+    const timeZone = "America/New_York";
+    expect(timestamps.format(TIME)).toBe("2020-01-15T13:04:05.067Z");
+    expect(timestamps.format(TIME, "iso", { timeZone })).toBe(
+      "2020-01-15T08:04:05.067-05:00"
+    );
+    expect(timestamps.format(TIME, "local", { timeZone: "Asia/Kolkata" })).toBe(
+      "2020-01-15 18:34:05.067"
+    );
+    expect(timestamps.format(TIME, "time", { timeZone: "UTC" })).toBe(
+      "13:04:05.067"
+    );
+    expect(timestamps.format(TIME, "epoch")).toBe(String(TIME));
+  });
+
+  it("should format the elapsed time and the deltas", () => {
+    expect(timestamps.format(Date.now(), "elapsed")).toMatch(/^\+\d+ms$/);
+    expect(timestamps.format(TIME, "delta", { previous: TIME - 15 })).toBe(
+      "+15ms"
+    );
+    expect(timestamps.format(TIME, "delta")).toBe("+0ms");
+  });
+
+  it("should reject unknown formats and time zones", () => {
+    expect(() => timestamps.format(TIME, "nope")).toThrowError(TypeError);
+    expect(() => (logger.timestamp = "nope")).toThrowError(TypeError);
+    expect(() => (logger.timeZone = "Nowhere/Atlantis")).toThrowError(
+      RangeError
+    );
+  });
+
+  it("should fall back to the default format instead of throwing", () => {
+    expect(() =>
+      logger.info({ message: "Hello", timestamp: "bogus" })
+    ).not.toThrow();
+    expect(memory.lines[0]).toMatch(/^\[INF] Hello > \d{13}$/);
+    const warn = jasmine.createSpy("warn");
+    const settings = { LOG_TIMESTAMP: "bogus", LOG_TIMEZONE: "Mars/Base" };
+    const Configured = loadLogger(
+      { log() {}, warn },
+      {
+        "ezzy-argument": (name, fallback) =>
+          settings[name] === undefined ? fallback : settings[name]
+      }
+    );
+    logger = Configured.getLogger("info", false, { transports: [memory] });
+    logger.info("Started");
+    expect(memory.lines[1]).toBe("[INF] Started");
+    expect(warn.calls.allArgs()).toEqual([
+      [
+        "[LOG] Ignoring LOG_TIMESTAMP: The timestamp format 'bogus' doesn't exist."
+      ],
+      [jasmine.stringMatching(/^\[LOG] Ignoring LOG_TIMEZONE: /)]
+    ]);
+  });
+
+  it("should start every entry with the default timestamp", () => {
+    logger = Logger.getLogger("info", false, {
+      transports: [memory],
+      timestamp: "time",
+      timeZone: "UTC"
+    });
+    logger.info("Hello");
+    logger.child({ id: 1 }).info("Bye");
+    expect(memory.lines[0]).toMatch(/^\d\d:\d\d:\d\d\.\d{3} \[INF] Hello$/);
+    expect(memory.lines[1]).toMatch(
+      /^\d\d:\d\d:\d\d\.\d{3} \[INF] \[id=1] Bye$/
+    );
+  });
+
+  it("should add the timestamp per entry", () => {
+    logger.info({ message: "Hello", ts: true });
+    logger.info({ message: "Hello", timestamp: "delta" });
+    logger.info("Hello");
+    logger.timestamp = "time";
+    logger.info({ message: "Hello", ts: true });
+    expect(memory.lines[0]).toMatch(/^\[INF] Hello > \d{13}$/);
+    expect(memory.lines[1]).toMatch(/^\[INF] Hello > \+\d+ms$/);
+    expect(memory.lines[2]).toBe("[INF] Hello");
+    expect(memory.lines[3]).toMatch(/^\[INF] Hello > \d\d:\d\d:\d\d\.\d{3}$/);
+  });
+
+  it("should render the timestamps in the templates", () => {
+    logger.timeZone = "UTC";
+    logger.template = "{time:time} {time:delta} {message}";
+    logger.info("Hello");
+    expect(memory.lines[0]).toMatch(/^\d\d:\d\d:\d\d\.\d{3} \+\d+ms Hello$/);
+  });
+});